@@ -6,12 +6,47 @@ let isReconnecting = false;
 const MAX_RECONNECT_ATTEMPTS = 10;
 const INITIAL_RECONNECT_DELAY = 1000; // 1 second
 const MAX_RECONNECT_DELAY = 30000; // 30 seconds
+const PROTOCOL_NAME = 'logstream.v1'; // Typed JSON protocol negotiated as WebSocket subprotocol
+const SERVER_URL = window.location.protocol + '//' + window.location.hostname + ':9123';
+const SSE_FALLBACK_AFTER_FAILURES = 2; // WebSocket attempts that never opened before switching to SSE
+let transport = 'websocket'; // 'sse' once WebSocket upgrades turned out to be blocked
+let eventSource = null;
+let websocketEverOpened = false;
+let websocketFailures = 0;
+let rangeFetchController = null; // Aborts a time range fetched over HTTP in SSE mode
 
 const logBox = document.getElementById('logs');
 const textSearchInput = document.getElementById('text-search');
 const statusEl = document.getElementById('status');
 const logCountEl = document.getElementById('log-count');
 const pauseButton = document.getElementById('pause-button');
+const userForm = document.getElementById('user-form');
+const userNameEl = document.getElementById('user-name');
+const searchErrorEl = document.getElementById('search-error');
+const regexToggle = document.getElementById('regex-toggle');
+const caseToggle = document.getElementById('case-toggle');
+const wordToggle = document.getElementById('word-toggle');
+const rangeSinceInput = document.getElementById('range-since');
+const rangeUntilInput = document.getElementById('range-until');
+const rangeLoadButton = document.getElementById('range-load');
+const rangeLiveButton = document.getElementById('range-live');
+const archiveSourceSelect = document.getElementById('archive-source');
+const archiveSearchButton = document.getElementById('archive-search');
+const alertsPanel = document.getElementById('alerts-panel');
+const alertsHeader = document.getElementById('alerts-header');
+const alertsList = document.getElementById('alerts-list');
+const rateChart = document.getElementById('rate-chart');
+const rateResolutionButton = document.getElementById('rate-resolution');
+const rateDetailEl = document.getElementById('rate-detail');
+const findInput = document.getElementById('find-input');
+const findCountEl = document.getElementById('find-count');
+const findPrevButton = document.getElementById('find-prev');
+const findNextButton = document.getElementById('find-next');
+const contextSelect = document.getElementById('context-lines');
+const exportFormatSelect = document.getElementById('export-format');
+const exportLoadedButton = document.getElementById('export-loaded');
+const exportServerButton = document.getElementById('export-server');
+const sourceFilterEl = document.getElementById('source-filter');
 
 let allLogs = [];
 let pendingMessages = [];
@@ -23,8 +58,55 @@ let totalBytesReceived = 0;
 let userHasScrolledUp = false;
 let manuallyPaused = false; // New variable for manual pause state
 let currentTextSearch = ''; // Track current text search for server communication
-let filterJustApplied = false; // Flag to track when a new filter was just applied
-const MAX_LOGS = 1000; // Keep only 1000 logs at all times - client displays all of them
+let searchOptions = { mode: 'text', caseSensitive: false, wholeWord: false }; // Sent along with the search
+let contextLines = 0; // Lines of the same file the server adds before and after each match
+const CONTEXT_EXPAND_STEP = 10; // Lines more per click on "show more context"
+const MAX_CONTEXT_SCAN = 5000; // Lines looked back for the previous line of the same file
+let availableSources = []; // Names of the sources the server lets this user see
+let selectedSources = null; // Names of the sources shown, null for all
+let permalinkTarget = null; // { seq, streamId, time, source, focused } of a line opened by its permalink
+const PERMALINK_WINDOW_MS = 60 * 1000; // Logs loaded before and after a permalinked line
+let searchSequence = 0; // Id of the last search request sent to the server
+let activeSearchId = 0; // Only history and batches tagged with this search are shown
+let historyInProgress = false; // Between history-begin and history-end
+let lastServerStats = null; // Latest per-client stats pushed by the server
+let streamId = null; // Identifies the server's log stream the sequence ids belong to
+let lastSeq = 0; // Highest sequence id received, used to resume after a reconnect
+let resumeRequested = false; // Set while connecting with the intent to resume
+let rangeView = null; // { since, until, archive } while showing stored logs of a time window instead of live ones; archive names the source whose rotated files are searched
+let activeQueryId = null; // Id of the range query whose results are shown
+let rangeResult = null; // { count, truncated, cancelled } of the finished range query
+let archiveProgress = null; // { filesDone, files, bytesRead, totalBytes, count, queued } of the running archive search
+let rateResolution = 'second'; // Bucket size of the rate chart
+let rateBuckets = []; // { time, total, severity, status, vhosts } oldest first
+let hoveredRateBucket = null;
+const RATE_RESOLUTIONS = {
+  second: { bucketMs: 1000, buckets: 300, label: 'per second' },
+  minute: { bucketMs: 60 * 1000, buckets: 24 * 60, label: 'per minute' }
+};
+const SEVERITY_COLORS = { error: '#ff4444', warning: '#ffaa00', info: '#008800', other: '#555555' };
+let alerts = []; // Alerts from the server's alert rules, newest first
+const MAX_ALERTS = 50;
+const MAX_LOGS = 100000; // Lines kept in the browser; only those near the viewport are in the DOM
+const LOG_BLOCK_SIZE = 100; // Lines per block of the virtualized view
+const RENDER_MARGIN = 800; // Pixels above and below the viewport that are rendered too
+let logBlocks = []; // Blocks of the virtualized view, oldest first
+let logBlocksSource = null; // The allLogs array the blocks were built for
+let droppedLogs = 0; // Lines trimmed from the front of allLogs since it was replaced
+let averageLineHeight = 16; // Estimated height of lines that were never rendered
+let visibleBlocksUpdateScheduled = false;
+let searchHighlighter = null; // Returns the spans of a line that the server search matched
+const MAX_HIGHLIGHTS_PER_LINE = 50;
+const HIGHLIGHT_BUDGET_MS = 20; // Time one block may spend on search highlighting; later lines go unmarked
+let highlightDeadline = Infinity;
+let highlightBudgetWarned = false;
+let findText = ''; // Find in view: highlights text in the loaded lines without filtering
+let findMatches = []; // { position, start } of every match, position being droppedLogs + index
+let findMatchesSource = null; // The allLogs array findMatches were collected from
+let findCurrent = -1; // Index in findMatches of the match jumped to
+let findScanTimeout = null;
+let findJumpScrollTop = null; // Scroll position a jump to a match left the view at
+const MAX_FIND_MATCHES = 10000;
 const BATCH_SIZE = 100; // Increased from 10 to 50 for faster processing 
 const RENDER_DELAY = 25; // Reduced from 100ms to 25ms for faster response
 
@@ -49,7 +131,10 @@ const ClientLogger = {
 
 // WebSocket connection and reconnection management
 function createWebSocketConnection() {
-  const wsUrl = 'ws://' + window.location.hostname + ':9123';
+  // After a disconnect, ask the server to hold back the connect history so only
+  // the entries missed in between are sent
+  resumeRequested = streamId !== null && lastSeq > 0;
+  const wsUrl = 'ws://' + window.location.hostname + ':9123' + (resumeRequested ? '/?resume=1' : '');
   
   ClientLogger.info('Creating WebSocket connection', {
     url: wsUrl,
@@ -57,7 +142,7 @@ function createWebSocketConnection() {
     isReconnecting: isReconnecting
   });
   
-  ws = new WebSocket(wsUrl);
+  ws = new WebSocket(wsUrl, PROTOCOL_NAME);
   
   ws.onopen = handleWebSocketOpen;
   ws.onclose = handleWebSocketClose;
@@ -66,6 +151,7 @@ function createWebSocketConnection() {
 }
 
 function handleWebSocketOpen() {
+  websocketEverOpened = true;
   connectionStartTime = Date.now();
   statusEl.textContent = 'Connected';
   statusEl.className = 'status-connected';
@@ -88,13 +174,26 @@ function handleWebSocketOpen() {
     wasReconnecting: isReconnecting
   });
   
-  // Clear existing logs to prepare for server history
-  allLogs = [];
-  pendingMessages = [];
+  historyInProgress = false;
   
-  // Send current text search to server if it exists
-  if (currentTextSearch) {
+  if (rangeView) {
+    // Nothing to resume while looking at a time range; the query is simply run again
+    activeSearchId = 0;
     sendTextSearchToServer(currentTextSearch);
+  } else if (resumeRequested) {
+    // Keep what is shown (and the scroll position) and fetch only what was missed
+    sendTextSearchToServer(currentTextSearch, { resumeFrom: lastSeq });
+  } else {
+    // Clear existing logs to prepare for server history
+    allLogs = [];
+    pendingMessages = [];
+    
+    // The server starts every connection with the unfiltered search 0; send the current
+    // search if there is one, which replaces that history with a filtered one
+    activeSearchId = 0;
+    if (currentTextSearch || selectedSources) {
+      sendTextSearchToServer(currentTextSearch);
+    }
   }
   
   // Update display immediately
@@ -116,6 +215,12 @@ function handleWebSocketClose(event) {
     totalBytesReceived: totalBytesReceived
   });
   
+  // A WebSocket that never gets through is most likely stripped by a proxy
+  if (!websocketEverOpened && ++websocketFailures >= SSE_FALLBACK_AFTER_FAILURES) {
+    switchToEventStream();
+    return;
+  }
+  
   // Attempt to reconnect unless it was a clean close or we've exceeded max attempts
   if (!event.wasClean && reconnectAttempts < MAX_RECONNECT_ATTEMPTS) {
     attemptReconnection();
@@ -168,59 +273,402 @@ function attemptReconnection() {
   }, delay);
 }
 
+// Server-Sent Events fallback: the same messages over /events, with the search passed as
+// query params. The browser reconnects by itself and resumes via Last-Event-ID
+function switchToEventStream() {
+  transport = 'sse';
+  ws = null;
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  isReconnecting = false;
+  reconnectAttempts = 0;
+  
+  ClientLogger.warn('WebSocket unavailable, falling back to Server-Sent Events', {
+    failedAttempts: websocketFailures
+  });
+  
+  allLogs = [];
+  pendingMessages = [];
+  activeSearchId = 0;
+  sendTextSearchToServer(currentTextSearch);
+}
+
+function openEventStream(search) {
+  if (eventSource) {
+    eventSource.close();
+  }
+  
+  const params = new URLSearchParams({
+    id: search.id,
+    q: search.value,
+    mode: search.mode,
+    caseSensitive: search.caseSensitive,
+    wholeWord: search.wholeWord,
+    contextBefore: search.contextBefore,
+    contextAfter: search.contextAfter
+  });
+  if (search.sources) {
+    params.set('sources', search.sources.join(','));
+  }
+  eventSource = new EventSource(SERVER_URL + '/events?' + params);
+  eventSource.onopen = handleEventStreamOpen;
+  eventSource.onerror = handleEventStreamError;
+  eventSource.onmessage = handleWebSocketMessage;
+}
+
+function handleEventStreamOpen() {
+  connectionStartTime = Date.now();
+  statusEl.textContent = 'Connected (SSE)';
+  statusEl.className = 'status-connected';
+  historyInProgress = false;
+  
+  ClientLogger.info('Event stream established', { url: eventSource.url });
+}
+
+function handleEventStreamError() {
+  // CONNECTING means the browser is already retrying on its own
+  const retrying = eventSource.readyState === EventSource.CONNECTING;
+  statusEl.textContent = retrying ? 'Reconnecting... (SSE)' : 'Connection Failed';
+  statusEl.className = retrying ? 'status-reconnecting' : 'status-disconnected';
+  
+  ClientLogger.warn('Event stream error', {
+    readyState: eventSource.readyState,
+    url: eventSource.url
+  });
+}
+
+function isServerConnected() {
+  return transport === 'sse'
+    ? eventSource !== null && eventSource.readyState !== EventSource.CLOSED
+    : ws !== null && ws.readyState === WebSocket.OPEN;
+}
+
 // Message batching and rate limiting
 function handleWebSocketMessage(event) {
   const dataSize = new Blob([event.data]).size;
   totalBytesReceived += dataSize;
   messagesReceived++;
   
-  const lines = event.data.split('\n').filter(line => line.trim());
-  
-  // Check if this looks like a large initial batch (server history)
-  const isLikelyHistoryBatch = lines.length > 100 && allLogs.length === 0;
-  
-  if (isLikelyHistoryBatch) {
-    ClientLogger.info('Received log history from server', {
-      linesCount: lines.length,
+  let message;
+  try {
+    message = JSON.parse(event.data);
+  } catch (error) {
+    ClientLogger.error('Failed to parse message from server', {
+      error: error.message,
       messageSize: dataSize
     });
-    
-    // For history, add directly to allLogs without pending queue
-    allLogs.push(...lines);
-    
-    // Ensure we don't exceed MAX_LOGS
-    if (allLogs.length > MAX_LOGS) {
-      allLogs.splice(0, allLogs.length - MAX_LOGS);
+    return;
+  }
+  
+  handleServerMessage(message, dataSize);
+}
+
+function handleServerMessage(message, dataSize) {
+  // History and batches of a superseded search are dropped, and so is everything live
+  // while a time range is shown
+  if (message.searchId !== undefined && (message.searchId !== activeSearchId || rangeView)) {
+    ClientLogger.debug('Dropped message for a previous search', {
+      type: message.type,
+      searchId: message.searchId,
+      activeSearchId
+    });
+    return;
+  }
+  
+  switch (message.type) {
+    case 'hello':
+      ClientLogger.info('Server hello received', {
+        protocol: message.protocol,
+        streamId: message.streamId,
+        sources: message.sources,
+        historyLimit: message.historyLimit
+      });
+      streamId = message.streamId;
+      availableSources = message.sources || [];
+      renderSourceFilter();
+      renderArchiveSources();
+      
+      // Signed-in users get a log out button; without authentication there is no user
+      if (userForm) {
+        userNameEl.textContent = message.user ? `👤 ${message.user}` : '';
+        userForm.style.display = message.user ? 'flex' : 'none';
+      }
+      loadAlerts();
+      loadRates();
+      break;
+      
+    case 'history-begin':
+      // History replaces everything shown so far, unless it only holds what was missed
+      historyInProgress = true;
+      if (message.reason !== 'resume') {
+        allLogs = [];
+        pendingMessages = [];
+        lastSeq = 0;
+      }
+      break;
+      
+    case 'gap':
+      // Some missed lines are no longer buffered on the server
+      allLogs.push({
+        gap: true,
+        line: `⚠ ${message.count} lines (#${message.fromSeq} to #${message.toSeq}) were missed while disconnected and are no longer available`
+      });
+      ClientLogger.warn('Gap in resumed log stream', {
+        fromSeq: message.fromSeq,
+        toSeq: message.toSeq,
+        count: message.count
+      });
+      break;
+      
+    case 'history-chunk':
+      // For history, add directly to allLogs without pending queue
+      allLogs.push(...message.entries);
+      
+      // Ensure we don't exceed MAX_LOGS
+      trimLogs();
+      break;
+      
+    case 'history-end':
+      historyInProgress = false;
+      lastSeq = Math.max(lastSeq, message.lastSeq || 0);
+      ClientLogger.info('Received log history from server', {
+        linesCount: message.count,
+        searchId: message.searchId
+      });
+      
+      // Render immediately for history (no client-side filtering needed)
+      renderLogs();
+      updateLogCount();
+      updateScrollStatus();
+      
+      // Batches held back while the history was streaming in
+      if (pendingMessages.length > 0 && !renderTimeout) {
+        renderTimeout = setTimeout(processPendingMessages, RENDER_DELAY);
+      }
+      break;
+      
+    case 'query-begin':
+      if (message.id !== activeQueryId) break;
+      allLogs = [];
+      pendingMessages = [];
+      rangeResult = null;
+      break;
+      
+    case 'query-chunk':
+      if (message.id !== activeQueryId) break;
+      allLogs.push(...message.entries);
+      break;
+      
+    case 'query-end':
+      if (message.id !== activeQueryId) break;
+      rangeResult = { count: message.count, truncated: message.truncated };
+      ClientLogger.info('Received time range from server', {
+        linesCount: message.count,
+        truncated: message.truncated
+      });
+      renderLogs();
+      updateLogCount();
+      if (permalinkTarget && !permalinkTarget.focused) {
+        focusPermalinkLine();
+      }
+      break;
+      
+    // Archive searches show their lines as they are found, redrawn with every progress report
+    case 'archive-begin':
+      if (message.id !== activeQueryId) break;
+      allLogs = [];
+      pendingMessages = [];
+      rangeResult = null;
+      archiveProgress = { filesDone: 0, files: message.files, bytesRead: 0, totalBytes: message.totalBytes, count: 0, queued: message.queued };
+      renderLogs();
+      updateLogCount();
+      break;
+      
+    case 'archive-chunk':
+      if (message.id !== activeQueryId) break;
+      allLogs.push(...message.entries);
+      break;
+      
+    case 'archive-progress':
+      if (message.id !== activeQueryId) break;
+      archiveProgress = { ...message, queued: false };
+      renderLogs();
+      updateLogCount();
+      break;
+      
+    case 'archive-end':
+      if (message.id !== activeQueryId) break;
+      rangeResult = { count: message.count, truncated: message.truncated, cancelled: message.cancelled };
+      archiveProgress = null;
+      ClientLogger.info('Archive search finished', {
+        source: rangeView && rangeView.archive,
+        linesCount: message.count,
+        filesScanned: message.filesScanned,
+        truncated: message.truncated,
+        cancelled: message.cancelled
+      });
+      renderLogs();
+      updateLogCount();
+      updateArchiveButton();
+      break;
+      
+    case 'batch':
+      lastSeq = Math.max(lastSeq, message.lastSeq || 0);
+      handleLiveEntries(message.entries, dataSize);
+      break;
+      
+    case 'timeseries':
+      addRateBuckets(message.buckets);
+      break;
+      
+    case 'alert':
+      ClientLogger.warn(message.event === 'firing' ? 'Alert firing' : 'Alert resolved', {
+        id: message.alert.id,
+        rule: message.alert.rule,
+        group: message.alert.group
+      });
+      updateAlert(message.alert);
+      if (message.event === 'firing') {
+        alertsPanel.classList.remove('collapsed');
+      }
+      renderAlerts();
+      break;
+      
+    case 'skipped':
+      // The server dropped live lines while this client could not keep up
+      handleLiveEntries([{
+        gap: true,
+        line: message.mode === 'sampled'
+          ? `⚠ Connection too slow: showed a sample of the lines for ${Math.round(message.lagMs / 1000)}s, ${message.count} lines skipped`
+          : `⚠ Connection too slow: ${message.count} lines skipped`
+      }], 0);
+      ClientLogger.warn('Server skipped lines for slow connection', {
+        count: message.count,
+        mode: message.mode,
+        lagMs: message.lagMs
+      });
+      
+      // Sent once caught up, so the lag from the last stats is over
+      if (lastServerStats) {
+        lastServerStats.lag = null;
+      }
+      updateScrollStatus();
+      break;
+      
+    case 'source-status':
+      handleSourceStatus(message);
+      break;
+      
+    case 'error':
+      handleServerError(message);
+      break;
+      
+    case 'stats':
+      lastServerStats = message;
+      updateScrollStatus();
+      break;
+      
+    case 'ack':
+      ClientLogger.debug('Request acknowledged by server', { id: message.id, request: message.request });
+      break;
+      
+    default:
+      ClientLogger.warn('Unknown message type from server', { type: message.type });
+  }
+}
+
+function handleLiveEntries(entries, dataSize) {
+  // Regular streaming logs - use existing pending queue system
+  pendingMessages.push(...entries);
+  
+  ClientLogger.debug('WebSocket message received', {
+    messageSize: dataSize,
+    linesCount: entries.length,
+    totalMessages: messagesReceived,
+    totalBytes: totalBytesReceived,
+    pendingMessagesCount: pendingMessages.length
+  });
+  
+  // Batches arriving while history is still streaming in wait until it is rendered
+  if (historyInProgress) {
+    return;
+  }
+  
+  // Immediate processing for high-volume scenarios
+  if (!renderTimeout) {
+    const immediateDelay = pendingMessages.length > 100 ? 5 : RENDER_DELAY;
+    renderTimeout = setTimeout(processPendingMessages, immediateDelay);
+  }
+}
+
+// Outages and recoveries of a log source appear in the stream where they happened
+function handleSourceStatus(message) {
+  let line;
+  if (message.state === 'down') {
+    const retry = message.retryInMs !== null ? `, retrying in ${Math.ceil(message.retryInMs / 1000)}s` : '';
+    line = `⚠ Source ${message.source} stopped delivering logs: ${message.reason}${retry}`;
+  } else if (message.state === 'stalled') {
+    line = `⚠ Source ${message.source} looks stalled: ${message.reason}`;
+  } else {
+    line = `✔ Source ${message.source} is back: ${message.reason}`;
+  }
+  
+  ClientLogger.warn('Log source status changed', {
+    source: message.source,
+    state: message.state,
+    previousState: message.previousState,
+    reason: message.reason
+  });
+  handleLiveEntries([{ gap: true, recovered: message.state === 'running', line }], 0);
+}
+
+function handleServerError(message) {
+  if (message.code === 'search') {
+    showSearchError(message.message, message.position, message.fallback);
+    if (message.fallback === 'literal') {
+      searchHighlighter = createSearchHighlighter(currentTextSearch, searchOptions, true);
+      refreshRenderedBlocks();
+    }
+  } else if (message.code === 'query') {
+    if (message.id === activeQueryId) {
+      showSearchError(message.message, null, 'range');
+    }
+  } else if (message.code === 'archive') {
+    if (message.id !== activeQueryId) return;
+    showSearchError(message.message, null, 'range');
+    // Unreadable files are skipped; any other error ends the search
+    if (!message.file) {
+      rangeResult = { count: allLogs.length, truncated: false };
+      archiveProgress = null;
+      updateLogCount();
+      updateArchiveButton();
     }
-    
-    // Render immediately for history (no client-side filtering needed)
-    renderLogs();
-    updateLogCount();
-    updateScrollStatus();
   } else {
-    // Regular streaming logs - use existing pending queue system
-    pendingMessages.push(...lines);
-    
-    ClientLogger.debug('WebSocket message received', {
-      messageSize: dataSize,
-      linesCount: lines.length,
-      totalMessages: messagesReceived,
-      totalBytes: totalBytesReceived,
-      pendingMessagesCount: pendingMessages.length
+    ClientLogger.error('Error reported by server', {
+      code: message.code,
+      message: message.message
     });
-    
-    // Immediate processing for high-volume scenarios
-    if (!renderTimeout) {
-      const immediateDelay = pendingMessages.length > 100 ? 5 : RENDER_DELAY;
-      renderTimeout = setTimeout(processPendingMessages, immediateDelay);
-    }
+  }
+}
+
+function showSearchError(message, position, fallback) {
+  if (!searchErrorEl) return;
+  
+  if (message) {
+    const location = typeof position === 'number' ? ` (at character ${position + 1})` : '';
+    const consequence = fallback === 'literal' ? ' - searching for the literal text instead'
+      : fallback === 'range' ? '' : ' - no lines will match';
+    searchErrorEl.textContent = `⚠ ${message}${location}${consequence}`;
+    searchErrorEl.style.display = 'block';
+  } else {
+    searchErrorEl.textContent = '';
+    searchErrorEl.style.display = 'none';
   }
 }
 
 function processPendingMessages() {
   // If user has scrolled up or manually paused, don't process new messages - just keep them pending
-  // EXCEPTION: If a filter was just applied, process the filtered results immediately
-  if ((userHasScrolledUp || manuallyPaused) && !filterJustApplied) {
+  if (userHasScrolledUp || manuallyPaused) {
     const reason = manuallyPaused ? 'manually paused' : 'user scrolled up';
     ClientLogger.debug(`Log processing paused - ${reason}`, {
       pendingMessagesCount: pendingMessages.length
@@ -234,21 +682,12 @@ function processPendingMessages() {
   const adaptiveBatchSize = pendingMessages.length > 200 ? Math.min(100, pendingMessages.length) : BATCH_SIZE;
   const batch = pendingMessages.splice(0, adaptiveBatchSize);
   
-  batch.forEach(line => {
-    allLogs.push(line);
+  batch.forEach(entry => {
+    allLogs.push(entry);
   });
   
-  // Ensure we never exceed MAX_LOGS (1000) - trim immediately after adding
-  if (allLogs.length > MAX_LOGS) {
-    const excess = allLogs.length - MAX_LOGS;
-    allLogs.splice(0, excess);
-  }
-  
-  // Clear the filterJustApplied flag after processing the first batch of filtered results
-  if (filterJustApplied) {
-    filterJustApplied = false;
-    ClientLogger.info('Processed first batch of filtered results');
-  }
+  // Ensure we never exceed MAX_LOGS - trim immediately after adding
+  trimLogs();
   
   if (batch.length > 0) {
     ClientLogger.debug('Processed message batch', {
@@ -283,29 +722,54 @@ function processPendingMessages() {
 }
 
 // Function to send text search to server
-function sendTextSearchToServer(textSearch) {
-  if (ws && ws.readyState === WebSocket.OPEN) {
+// With resumeFrom the shown logs are kept and the server only sends what came after them
+function sendTextSearchToServer(textSearch, { resumeFrom = null } = {}) {
+  if (transport === 'sse' || (ws && ws.readyState === WebSocket.OPEN)) {
     currentTextSearch = textSearch || '';
+    searchHighlighter = createSearchHighlighter(currentTextSearch, searchOptions);
+    updateUrlState();
     
-    // Clear existing logs and set flag when applying new search
-    allLogs = [];
-    pendingMessages = [];
-    filterJustApplied = true;
+    // Clear existing logs and ignore everything until the history for this search arrives
+    if (resumeFrom === null) {
+      allLogs = [];
+      pendingMessages = [];
+    }
+    activeSearchId = ++searchSequence;
+    showSearchError(null);
     
-    const message = JSON.stringify({
+    const search = {
       type: 'setTextSearch',
-      value: currentTextSearch
-    });
+      id: activeSearchId,
+      value: currentTextSearch,
+      mode: searchOptions.mode,
+      caseSensitive: searchOptions.caseSensitive,
+      wholeWord: searchOptions.wholeWord,
+      contextBefore: contextLines,
+      contextAfter: contextLines,
+      sources: selectedSources,
+      ...(resumeFrom === null ? {} : { resumeFrom, streamId })
+    };
     
     try {
-      ws.send(message);
+      // Over SSE a new search means a new stream
+      if (transport === 'sse') {
+        openEventStream(search);
+      } else {
+        ws.send(JSON.stringify(search));
+      }
       ClientLogger.info('Text search sent to server', {
         textSearch: currentTextSearch.substring(0, 30),
-        textSearchLength: currentTextSearch.length
+        textSearchLength: currentTextSearch.length,
+        searchOptions
       });
       
       // Clear the log display immediately
       renderLogs();
+      
+      // The range query runs with whatever search the server now has for this client
+      if (rangeView && resumeFrom === null) {
+        sendRangeQuery();
+      }
     } catch (error) {
       ClientLogger.error('Failed to send text search to server', {
         error: error.message,
@@ -320,148 +784,1580 @@ function sendTextSearchToServer(textSearch) {
   }
 }
 
-// Debounced text search input
-textSearchInput.addEventListener('input', () => {
-  clearTimeout(searchTimeout);
-  const searchValue = textSearchInput.value.trim();
+// Ask for the stored logs of the current time range, filtered by the current search
+function sendRangeQuery() {
+  activeQueryId = ++searchSequence;
+  rangeResult = null;
   
-  ClientLogger.debug('Text search input changed', {
-    searchLength: searchValue.length,
-    searchValue: searchValue.substring(0, 50)
-  });
+  if (rangeView.archive) {
+    sendArchiveSearch();
+    return;
+  }
+  if (transport === 'sse') {
+    fetchRangeQuery(activeQueryId);
+    return;
+  }
   
-  searchTimeout = setTimeout(() => sendTextSearchToServer(searchValue), 300);
-});
+  try {
+    ws.send(JSON.stringify({
+      type: 'query',
+      id: activeQueryId,
+      since: rangeView.since,
+      until: rangeView.until,
+      limit: MAX_LOGS
+    }));
+    ClientLogger.info('Time range query sent to server', rangeView);
+  } catch (error) {
+    ClientLogger.error('Failed to send time range query', { error: error.message });
+  }
+}
 
-// Handle DOM ready for clear button
-document.addEventListener('DOMContentLoaded', () => {
-  const clearSearchBtn = document.getElementById('clear-search');
+// Archive searches read compressed files on the server as they go, so they report progress
+// and can be cancelled; that takes the WebSocket
+function sendArchiveSearch() {
+  archiveProgress = null;
+  if (transport === 'sse') {
+    rangeResult = { count: 0, truncated: false };
+    showSearchError('Searching archives needs a WebSocket connection', null, 'range');
+    return;
+  }
   
-  clearSearchBtn.addEventListener('click', () => {
-    textSearchInput.value = '';
-    currentTextSearch = '';
-    sendTextSearchToServer('');
-  });
-});
+  updateArchiveButton();
+  try {
+    ws.send(JSON.stringify({
+      type: 'archiveSearch',
+      id: activeQueryId,
+      source: rangeView.archive,
+      since: rangeView.since,
+      until: rangeView.until,
+      limit: MAX_LOGS
+    }));
+    ClientLogger.info('Archive search sent to server', rangeView);
+  } catch (error) {
+    ClientLogger.error('Failed to send archive search', { error: error.message });
+  }
+}
 
-function clearAllFilters() {
-  textSearchInput.value = '';
-  currentTextSearch = '';
-  sendTextSearchToServer('');
+function cancelArchiveSearch() {
+  if (transport === 'websocket' && ws && ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({ type: 'cancelArchiveSearch' }));
+  }
 }
 
-// Pause/Resume button functionality
-pauseButton.addEventListener('click', () => {
-  manuallyPaused = !manuallyPaused;
+// SSE cannot carry requests, so in that mode ranges come from the REST API and are fed
+// through the same handlers as the WebSocket query messages
+function fetchRangeQuery(queryId) {
+  if (rangeFetchController) {
+    rangeFetchController.abort();
+  }
+  rangeFetchController = new AbortController();
   
-  if (manuallyPaused) {
-    pauseButton.textContent = '▶️ Resume';
-    pauseButton.classList.add('paused');
-    ClientLogger.info('Log processing manually paused');
-  } else {
-    pauseButton.textContent = '⏸️ Pause';
-    pauseButton.classList.remove('paused');
-    ClientLogger.info('Log processing manually resumed');
-    
-    // Resume processing if there are pending messages
-    if (pendingMessages.length > 0 && !renderTimeout) {
-      renderTimeout = setTimeout(processPendingMessages, RENDER_DELAY);
-    }
+  const params = new URLSearchParams({
+    format: 'json',
+    limit: MAX_LOGS,
+    q: currentTextSearch,
+    mode: searchOptions.mode,
+    caseSensitive: searchOptions.caseSensitive,
+    wholeWord: searchOptions.wholeWord
+  });
+  if (rangeView.since !== null) params.set('since', rangeView.since);
+  if (rangeView.until !== null) params.set('until', rangeView.until);
+  if (selectedSources) params.set('source', selectedSources.join(','));
+  if (contextLines > 0) {
+    params.set('contextBefore', contextLines);
+    params.set('contextAfter', contextLines);
   }
   
-  updateScrollStatus();
-});
+  fetch(SERVER_URL + '/api/logs?' + params, { signal: rangeFetchController.signal })
+    .then(response => response.json().then(body => ({ ok: response.ok, body })))
+    .then(({ ok, body }) => {
+      if (queryId !== activeQueryId) return;
+      
+      if (!ok) {
+        showSearchError(body.error, body.position, 'range');
+        return;
+      }
+      handleServerMessage({ type: 'query-begin', id: queryId }, 0);
+      handleServerMessage({ type: 'query-chunk', id: queryId, entries: body.entries }, 0);
+      handleServerMessage({ type: 'query-end', id: queryId, count: body.count, truncated: body.truncated }, 0);
+    })
+    .catch((error) => {
+      if (error.name === 'AbortError') return;
+      ClientLogger.error('Failed to fetch time range', { error: error.message });
+      showSearchError(`Could not load the time range: ${error.message}`, null, 'range');
+    });
+}
 
-function renderLogs() {
-  const startTime = performance.now();
-  
-  // Use document fragment for efficient DOM updates
-  const fragment = document.createDocumentFragment();
-  
-  // Server handles all filtering (both regex and text search) - no client-side filtering needed
-  let logsToProcess = allLogs.slice(-1000); // Display the last 1000 logs (all filtered results from server)
+// datetime-local values are local times without a zone; empty means open-ended
+function readRangeInput(input) {
+  return input && input.value ? new Date(input.value).getTime() : null;
+}
+
+function showTimeRange(since = readRangeInput(rangeSinceInput), until = readRangeInput(rangeUntilInput), archive = null) {
+  if (since === null && until === null) {
+    showSearchError('Pick a start or end time to load a time range', null, 'range');
+    return;
+  }
   
-  let errorCount = 0;
-  let warningCount = 0;
-  let infoCount = 0;
+  rangeView = { since, until, archive };
+  permalinkTarget = null;
+  rangeLiveButton.disabled = false;
+  renderRateChart();
+  clearTimeout(searchTimeout);
+  sendTextSearchToServer(getSearchInputValue());
+}
+
+function showLiveLogs() {
+  if (!rangeView) return;
   
-  // Use more efficient DOM creation
-  logsToProcess.forEach(line => {
-    const div = document.createElement('div');
-    div.className = 'log-line';
+  const wasArchive = rangeView.archive;
+  rangeView = null;
+  permalinkTarget = null;
+  activeQueryId = null;
+  rangeResult = null;
+  archiveProgress = null;
+  rangeLiveButton.disabled = true;
+  updateArchiveButton();
+  renderRateChart();
+  if (rangeFetchController) {
+    rangeFetchController.abort();
+    rangeFetchController = null;
+  }
+  if (wasArchive) {
+    cancelArchiveSearch();
+  } else if (transport === 'websocket' && ws && ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({ type: 'cancelQuery' }));
+  }
+  sendTextSearchToServer(getSearchInputValue());
+}
 
-    // Optimized regex patterns with early termination
-    if (/\s500\s|fatal|[Ee]rror|error_log|ERROR|FATAL/.test(line)) {
-      div.className += ' log-error';
-      errorCount++;
-    } else if (/\s4\d\d\s|[Ww]arning|WARN|WARNING/.test(line)) {
-      div.className += ' log-warning';
-      warningCount++;
-    } else if (/\s2\d\d\s|[Ii]nfo|INFO|access_log/.test(line)) {
-      div.className += ' log-info';
-      infoCount++;
-    }
+// The button cancels the archive search while one runs
+function updateArchiveButton() {
+  const running = Boolean(rangeView && rangeView.archive && !rangeResult);
+  archiveSearchButton.textContent = running ? 'Cancel archive search' : 'Search archives';
+}
 
-    // Server already did all filtering - just display the text
-    div.textContent = line;
-    
-    fragment.appendChild(div);
-  });
-  
-  // Use requestAnimationFrame for smoother updates during high load
-  requestAnimationFrame(() => {
-    // Replace all content at once
-    logBox.innerHTML = '';
-    logBox.appendChild(fragment);
-    
-    // Only auto-scroll if user hasn't manually scrolled up
-    if (!userHasScrolledUp) {
-      logBox.scrollTop = logBox.scrollHeight;
+function renderArchiveSources() {
+  const selected = (rangeView && rangeView.archive) || archiveSourceSelect.value;
+  archiveSourceSelect.textContent = '';
+  for (const name of availableSources) {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name;
+    archiveSourceSelect.appendChild(option);
+  }
+  if (availableSources.includes(selected)) {
+    archiveSourceSelect.value = selected;
+  }
+  archiveSearchButton.disabled = availableSources.length === 0;
+}
+
+if (rangeLoadButton) {
+  rangeLoadButton.addEventListener('click', () => showTimeRange());
+  rangeLiveButton.addEventListener('click', showLiveLogs);
+  archiveSearchButton.addEventListener('click', () => {
+    if (rangeView && rangeView.archive && !rangeResult) {
+      cancelArchiveSearch();
+    } else {
+      showTimeRange(undefined, undefined, archiveSourceSelect.value);
     }
   });
+}
+
+// Source picker: every source the user may see, all shown until some are switched off
+function renderSourceFilter() {
+  sourceFilterEl.textContent = '';
+  sourceFilterEl.style.display = availableSources.length > 1 ? 'flex' : 'none';
   
-  const renderTime = performance.now() - startTime;
+  for (const name of availableSources) {
+    const button = document.createElement('button');
+    button.className = 'search-toggle';
+    button.classList.toggle('active', !selectedSources || selectedSources.includes(name));
+    button.textContent = name;
+    button.title = `Show or hide the lines of ${name}`;
+    button.addEventListener('click', () => toggleSource(name));
+    sourceFilterEl.appendChild(button);
+  }
+}
+
+function toggleSource(name) {
+  const selected = new Set(selectedSources || availableSources);
+  if (selected.has(name)) {
+    // Showing nothing at all is never what was meant
+    if (selected.size === 1) return;
+    selected.delete(name);
+  } else {
+    selected.add(name);
+  }
   
-  ClientLogger.debug('Logs rendered', {
-    totalLogs: allLogs.length,
-    logsDisplayed: logsToProcess.length,
-    errorCount,
-    warningCount,
-    infoCount,
-    renderTimeMs: renderTime.toFixed(2),
-    currentTextSearch: currentTextSearch.substring(0, 20)
-  });
+  selectedSources = availableSources.every(source => selected.has(source)) ? null : [...selected];
+  renderSourceFilter();
+  clearTimeout(searchTimeout);
+  sendTextSearchToServer(getSearchInputValue());
 }
 
-// Function to update log count display
-function updateLogCount() {
-  if (logCountEl) {
-    const isPending = (userHasScrolledUp || manuallyPaused) && pendingMessages.length > 0;
-    const isHighLoad = pendingMessages.length > 100;
-    
-    let statusText = `${allLogs.length} lines`;
-    
-    // Show text search info
-    if (currentTextSearch) {
-      const searchDisplay = currentTextSearch.length > 10 ? 
-        currentTextSearch.substring(0, 10) + '...' : 
-        currentTextSearch;
-      statusText += ` [search: "${searchDisplay}"]`;
-    }
-    
-    if (isPending) {
-      statusText += ` (${pendingMessages.length} pending)`;
-    }
-    if (isHighLoad && !isPending) {
-      statusText += ` (processing ${pendingMessages.length})`;
-    }
-    
-    logCountEl.textContent = statusText;
+// URL state. The search and its options, the picked sources, the pause state and the time
+// range live in the query string, so a refresh or a shared link shows the same view.
+// A line's permalink holds its sequence id with the stream it belongs to, and its time and
+// source for when the stream has changed since
+function updateUrlState() {
+  const params = new URLSearchParams();
+  if (currentTextSearch) params.set('q', currentTextSearch);
+  if (searchOptions.mode === 'regex') params.set('mode', 'regex');
+  if (searchOptions.caseSensitive) params.set('case', '1');
+  if (searchOptions.wholeWord) params.set('word', '1');
+  if (contextLines > 0) params.set('context', contextLines);
+  if (selectedSources) params.set('sources', selectedSources.join(','));
+  if (manuallyPaused) params.set('paused', '1');
+  
+  if (permalinkTarget) {
+    setPermalinkParams(params, permalinkTarget);
+  } else if (rangeView) {
+    if (rangeView.since !== null) params.set('since', new Date(rangeView.since).toISOString());
+    if (rangeView.until !== null) params.set('until', new Date(rangeView.until).toISOString());
+    if (rangeView.archive) params.set('archive', rangeView.archive);
   }
+  
+  const query = params.toString();
+  history.replaceState(null, '', query ? `?${query}` : window.location.pathname);
 }
 
-// Function to update scroll status indicator
-function updateScrollStatus() {
+function setPermalinkParams(params, line) {
+  params.set('line', line.seq);
+  params.set('stream', line.streamId);
+  params.set('at', new Date(line.time).toISOString());
+  params.set('source', line.source);
+}
+
+function getPermalink(entry) {
+  const params = new URLSearchParams();
+  setPermalinkParams(params, { seq: entry.seq, streamId, time: entry.time, source: entry.source.name });
+  return `${window.location.origin}${window.location.pathname}?${params}`;
+}
+
+function parseUrlTime(value) {
+  const time = value ? Date.parse(value) : NaN;
+  return Number.isNaN(time) ? null : time;
+}
+
+// Runs before connecting, so the first search sent is already the restored one
+function restoreUrlState() {
+  const params = new URLSearchParams(window.location.search);
+  
+  currentTextSearch = params.get('q') || '';
+  textSearchInput.value = currentTextSearch;
+  searchOptions = {
+    mode: params.get('mode') === 'regex' ? 'regex' : 'text',
+    caseSensitive: params.get('case') === '1',
+    wholeWord: params.get('word') === '1'
+  };
+  updateSearchToggles();
+  
+  const context = params.get('context');
+  if ([...contextSelect.options].some(option => option.value === context)) {
+    contextSelect.value = context;
+    contextLines = Number(context);
+  }
+  selectedSources = params.get('sources') ? params.get('sources').split(',') : null;
+  if (params.get('paused') === '1') {
+    setManualPause(true);
+  }
+  
+  // A permalinked line is shown among the stored logs around its time
+  const lineTime = parseUrlTime(params.get('at'));
+  if (lineTime !== null && params.get('source')) {
+    permalinkTarget = {
+      seq: /^\d+$/.test(params.get('line') || '') ? Number(params.get('line')) : null,
+      streamId: params.get('stream'),
+      time: lineTime,
+      source: params.get('source'),
+      focused: false
+    };
+    rangeView = { since: lineTime - PERMALINK_WINDOW_MS, until: lineTime + PERMALINK_WINDOW_MS, archive: null };
+  } else {
+    const since = parseUrlTime(params.get('since'));
+    const until = parseUrlTime(params.get('until'));
+    rangeView = since === null && until === null ? null : { since, until, archive: params.get('archive') || null };
+  }
+  
+  if (rangeView) {
+    rangeSinceInput.value = rangeView.since === null ? '' : toDateTimeInputValue(rangeView.since);
+    rangeUntilInput.value = rangeView.until === null ? '' : toDateTimeInputValue(rangeView.until);
+    rangeLiveButton.disabled = false;
+    updateArchiveButton();
+  }
+}
+
+// Centre the permalinked line once its time range is loaded: the line with its sequence id
+// in the same stream, otherwise the line of its source closest in time
+function focusPermalinkLine() {
+  const target = permalinkTarget;
+  let index = target.seq !== null && target.streamId === streamId
+    ? allLogs.findIndex(entry => entry.seq === target.seq)
+    : -1;
+  
+  if (index === -1) {
+    let closest = Infinity;
+    allLogs.forEach((entry, candidate) => {
+      const distance = entry.source && entry.source.name === target.source ? Math.abs(entry.time - target.time) : Infinity;
+      if (distance < closest) {
+        closest = distance;
+        index = candidate;
+      }
+    });
+  }
+  
+  target.focused = true;
+  if (index === -1) {
+    showSearchError('The linked line is no longer stored on the server', null, 'range');
+    return;
+  }
+  
+  const position = droppedLogs + index;
+  allLogs[index].permalink = true;
+  refreshRenderedBlocks(block => block.index === Math.floor(position / LOG_BLOCK_SIZE));
+  scrollToLogLine(position);
+  ClientLogger.info('Opened permalinked line', { seq: allLogs[index].seq, source: target.source });
+}
+
+// Export. The loaded lines are written from the browser's buffer, which only ever holds
+// lines the server redacted; a server export streams the time range being shown (or the
+// one picked, or all stored logs) with the active search straight into the download
+const CSV_COLUMNS = [
+  'time', 'seq', 'source', 'vhost', 'file', 'client', 'user', 'method', 'path', 'protocol', 'status',
+  'bytes', 'referrer', 'userAgent', 'responseTimeMs', 'serverName', 'line'
+];
+const EXPORT_TYPES = {
+  text: { type: 'text/plain', extension: 'log' },
+  ndjson: { type: 'application/x-ndjson', extension: 'ndjson' },
+  csv: { type: 'text/csv', extension: 'csv' }
+};
+
+// Same as the server's CSV: quoted when needed, formulas defused with a leading quote
+function formatCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatExportEntry(entry, format) {
+  switch (format) {
+    case 'ndjson': {
+      // Only what came from the server, not the view's own bookkeeping
+      const { seq, time, line, source, fields, context } = entry;
+      return JSON.stringify({ seq, time, line, source, fields, ...(context && { context }) }) + '\n';
+    }
+    case 'csv': {
+      const fields = entry.fields || {};
+      const values = {
+        time: new Date(entry.time).toISOString(),
+        seq: entry.seq,
+        source: entry.source.name,
+        vhost: entry.source.vhost,
+        file: entry.source.file,
+        line: entry.line
+      };
+      return CSV_COLUMNS.map(column => formatCsvValue(column in values ? values[column] : fields[column])).join(',') + '\r\n';
+    }
+    default:
+      return entry.line + '\n';
+  }
+}
+
+function downloadUrl(url, fileName) {
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+}
+
+function exportLoadedLines() {
+  const format = exportFormatSelect.value;
+  const parts = format === 'csv' ? [CSV_COLUMNS.join(',') + '\r\n'] : [];
+  let count = 0;
+  for (const entry of allLogs) {
+    if (entry.gap) continue;
+    parts.push(formatExportEntry(entry, format));
+    count++;
+  }
+  
+  const blob = new Blob(parts, { type: EXPORT_TYPES[format].type });
+  const url = URL.createObjectURL(blob);
+  downloadUrl(url, `logs-${new Date().toISOString().replace(/[:.]/g, '-')}.${EXPORT_TYPES[format].extension}`);
+  setTimeout(() => URL.revokeObjectURL(url), 60000);
+  ClientLogger.info('Exported loaded lines', { format, count });
+}
+
+function exportFromServer() {
+  const format = exportFormatSelect.value;
+  const range = rangeView || { since: readRangeInput(rangeSinceInput), until: readRangeInput(rangeUntilInput) };
+  const params = new URLSearchParams({
+    format,
+    q: currentTextSearch,
+    mode: searchOptions.mode,
+    caseSensitive: searchOptions.caseSensitive,
+    wholeWord: searchOptions.wholeWord
+  });
+  if (range.since !== null) params.set('since', range.since);
+  if (range.until !== null) params.set('until', range.until);
+  if (selectedSources) params.set('source', selectedSources.join(','));
+  
+  // A query the server rejects would download as an error document, so check it first.
+  // The server names the file; following the link downloads it as it streams
+  const check = new URLSearchParams(params);
+  check.set('format', 'json');
+  check.set('limit', 1);
+  fetch(SERVER_URL + '/api/logs?' + check)
+    .then(response => response.json().then(body => response.ok ? body : Promise.reject(Object.assign(new Error(body.error), { position: body.position }))))
+    .then(() => {
+      downloadUrl(SERVER_URL + '/api/export?' + params, '');
+      ClientLogger.info('Export requested from server', { format, since: range.since, until: range.until });
+    })
+    .catch((error) => {
+      ClientLogger.error('Export from server refused', { error: error.message });
+      showSearchError(`Could not export: ${error.message}`, error.position, 'range');
+    });
+}
+
+exportLoadedButton.addEventListener('click', exportLoadedLines);
+exportServerButton.addEventListener('click', exportFromServer);
+
+// Regex patterns are sent verbatim, text queries trimmed
+function getSearchInputValue() {
+  return searchOptions.mode === 'regex' ? textSearchInput.value : textSearchInput.value.trim();
+}
+
+// Search option toggles next to the search box
+function setupSearchToggle(button, applyToggle) {
+  if (!button) return;
+  
+  button.addEventListener('click', () => {
+    applyToggle();
+    updateSearchToggles();
+    clearTimeout(searchTimeout);
+    sendTextSearchToServer(getSearchInputValue());
+  });
+}
+
+function updateSearchToggles() {
+  regexToggle.classList.toggle('active', searchOptions.mode === 'regex');
+  caseToggle.classList.toggle('active', searchOptions.caseSensitive);
+  wordToggle.classList.toggle('active', searchOptions.wholeWord);
+  textSearchInput.placeholder = searchOptions.mode === 'regex'
+    ? 'Regular expression, e.g. order-[0-9]{6}'
+    : 'Search text or query, e.g. status>=500 AND vhost:shop NOT path:/health';
+}
+
+setupSearchToggle(regexToggle, () => {
+  searchOptions.mode = searchOptions.mode === 'regex' ? 'text' : 'regex';
+});
+setupSearchToggle(caseToggle, () => {
+  searchOptions.caseSensitive = !searchOptions.caseSensitive;
+});
+setupSearchToggle(wordToggle, () => {
+  searchOptions.wholeWord = !searchOptions.wholeWord;
+});
+
+contextSelect.addEventListener('change', () => {
+  contextLines = Number(contextSelect.value);
+  clearTimeout(searchTimeout);
+  sendTextSearchToServer(getSearchInputValue());
+});
+
+// Debounced text search input
+textSearchInput.addEventListener('input', () => {
+  clearTimeout(searchTimeout);
+  const searchValue = getSearchInputValue();
+  
+  ClientLogger.debug('Text search input changed', {
+    searchLength: searchValue.length,
+    searchValue: searchValue.substring(0, 50)
+  });
+  
+  searchTimeout = setTimeout(() => sendTextSearchToServer(searchValue), 300);
+});
+
+// Handle DOM ready for clear button
+document.addEventListener('DOMContentLoaded', () => {
+  const clearSearchBtn = document.getElementById('clear-search');
+  
+  clearSearchBtn.addEventListener('click', () => {
+    textSearchInput.value = '';
+    currentTextSearch = '';
+    sendTextSearchToServer('');
+  });
+});
+
+// Rate chart: the server's buckets on (re)connect, then one more second at a time
+function loadRates() {
+  const resolution = rateResolution;
+  fetch(SERVER_URL + '/api/timeseries?resolution=' + resolution)
+    .then(response => response.ok ? response.json() : Promise.reject(new Error(`HTTP ${response.status}`)))
+    .then((body) => {
+      if (resolution !== rateResolution) return;
+      rateBuckets = body.buckets;
+      renderRateChart();
+    })
+    .catch((error) => {
+      ClientLogger.warn('Could not load rates', { error: error.message });
+    });
+}
+
+function createEmptyBucket(time) {
+  return { time, total: 0, severity: { error: 0, warning: 0, info: 0, other: 0 }, status: {}, vhosts: {} };
+}
+
+// Live buckets are per second; in the minute view they add up to the current minute
+function addRateBuckets(buckets) {
+  const { bucketMs, buckets: maxBuckets } = RATE_RESOLUTIONS[rateResolution];
+  
+  for (const bucket of buckets) {
+    const time = bucket.time - bucket.time % bucketMs;
+    let last = rateBuckets[rateBuckets.length - 1];
+    if (last && time < last.time) continue;
+    
+    // Seconds missed while disconnected stay empty
+    while (!last || last.time < time) {
+      last = createEmptyBucket(last ? last.time + bucketMs : time);
+      rateBuckets.push(last);
+    }
+    
+    last.total += bucket.total;
+    for (const [severity, count] of Object.entries(bucket.severity)) {
+      last.severity[severity] = (last.severity[severity] || 0) + count;
+    }
+    for (const [status, count] of Object.entries(bucket.status)) {
+      last.status[status] = (last.status[status] || 0) + count;
+    }
+    for (const [vhost, count] of Object.entries(bucket.vhosts)) {
+      last.vhosts[vhost] = (last.vhosts[vhost] || 0) + count;
+    }
+  }
+  
+  if (rateBuckets.length > maxBuckets) {
+    rateBuckets.splice(0, rateBuckets.length - maxBuckets);
+  }
+  renderRateChart();
+}
+
+// Stacked bars by severity, newest on the right; the shown time range is highlighted
+function renderRateChart() {
+  const { bucketMs, buckets: maxBuckets } = RATE_RESOLUTIONS[rateResolution];
+  const ratio = window.devicePixelRatio || 1;
+  const width = rateChart.clientWidth * ratio;
+  const height = rateChart.clientHeight * ratio;
+  if (rateChart.width !== width || rateChart.height !== height) {
+    rateChart.width = width;
+    rateChart.height = height;
+  }
+  
+  const context = rateChart.getContext('2d');
+  context.clearRect(0, 0, width, height);
+  
+  const barWidth = width / maxBuckets;
+  const peak = Math.max(1, ...rateBuckets.map(bucket => bucket.total));
+  rateBuckets.forEach((bucket, index) => {
+    const x = width - (rateBuckets.length - index) * barWidth;
+    
+    if (rangeView && bucket.time + bucketMs > (rangeView.since ?? -Infinity) && bucket.time <= (rangeView.until ?? Infinity)) {
+      context.fillStyle = '#223322';
+      context.fillRect(x, 0, Math.max(barWidth, 1), height);
+    }
+    
+    let y = height;
+    for (const severity of ['other', 'info', 'warning', 'error']) {
+      const barHeight = bucket.severity[severity] / peak * (height - 2);
+      if (barHeight <= 0) continue;
+      context.fillStyle = SEVERITY_COLORS[severity];
+      context.fillRect(x, y - barHeight, Math.max(barWidth - (barWidth > 3 ? 1 : 0), 1), barHeight);
+      y -= barHeight;
+    }
+  });
+  
+  updateRateDetail();
+}
+
+function getRateBucketAt(event) {
+  const rect = rateChart.getBoundingClientRect();
+  const slot = Math.floor((rect.right - event.clientX) / (rect.width / RATE_RESOLUTIONS[rateResolution].buckets));
+  return rateBuckets[rateBuckets.length - 1 - slot] || null;
+}
+
+function updateRateDetail() {
+  const bucket = hoveredRateBucket || rateBuckets[rateBuckets.length - 1];
+  if (!bucket) {
+    rateDetailEl.textContent = '';
+    return;
+  }
+  
+  const parts = [`${new Date(bucket.time).toLocaleTimeString()} ${bucket.total} lines`];
+  const severities = ['error', 'warning'].filter(severity => bucket.severity[severity] > 0);
+  if (severities.length > 0) {
+    parts.push(severities.map(severity => `${bucket.severity[severity]} ${severity}s`).join(', '));
+  }
+  const statuses = Object.entries(bucket.status).sort();
+  if (statuses.length > 0) {
+    parts.push(statuses.map(([status, count]) => `${status} ${count}`).join(' '));
+  }
+  const vhosts = Object.entries(bucket.vhosts).sort((a, b) => b[1] - a[1]).slice(0, 5);
+  if (vhosts.length > 0) {
+    parts.push(vhosts.map(([vhost, count]) => `${vhost} ${count}`).join(', '));
+  }
+  rateDetailEl.textContent = (hoveredRateBucket ? '' : 'latest: ') + parts.join(' · ');
+}
+
+function toDateTimeInputValue(time) {
+  const local = new Date(time - new Date(time).getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 19);
+}
+
+rateChart.addEventListener('mousemove', (event) => {
+  hoveredRateBucket = getRateBucketAt(event);
+  updateRateDetail();
+});
+
+rateChart.addEventListener('mouseleave', () => {
+  hoveredRateBucket = null;
+  updateRateDetail();
+});
+
+// A bar opens the logs of its bucket as a time range
+rateChart.addEventListener('click', (event) => {
+  const bucket = getRateBucketAt(event);
+  if (!bucket) return;
+  
+  const until = bucket.time + RATE_RESOLUTIONS[rateResolution].bucketMs - 1;
+  rangeSinceInput.value = toDateTimeInputValue(bucket.time);
+  rangeUntilInput.value = toDateTimeInputValue(until);
+  showTimeRange(bucket.time, until);
+});
+
+rateResolutionButton.addEventListener('click', () => {
+  rateResolution = rateResolution === 'second' ? 'minute' : 'second';
+  rateResolutionButton.textContent = RATE_RESOLUTIONS[rateResolution].label;
+  rateBuckets = [];
+  hoveredRateBucket = null;
+  renderRateChart();
+  loadRates();
+});
+
+window.addEventListener('resize', () => {
+  renderRateChart();
+  scheduleVisibleBlocksUpdate();
+});
+
+// Recent alerts on (re)connect; later ones arrive as alert messages
+function loadAlerts() {
+  fetch(SERVER_URL + '/api/alerts?limit=' + MAX_ALERTS)
+    .then(response => response.ok ? response.json() : Promise.reject(new Error(`HTTP ${response.status}`)))
+    .then((body) => {
+      alerts = body.alerts;
+      if (alerts.some(alert => alert.state === 'firing')) {
+        alertsPanel.classList.remove('collapsed');
+      }
+      renderAlerts();
+    })
+    .catch((error) => {
+      ClientLogger.warn('Could not load alerts', { error: error.message });
+    });
+}
+
+function updateAlert(alert) {
+  alerts = [alert, ...alerts.filter(existing => existing.id !== alert.id)]
+    .sort((a, b) => b.id - a.id)
+    .slice(0, MAX_ALERTS);
+}
+
+function renderAlerts() {
+  const firing = alerts.filter(alert => alert.state === 'firing').length;
+  alertsPanel.style.display = alerts.length > 0 ? 'block' : 'none';
+  alertsPanel.classList.toggle('has-firing', firing > 0);
+  alertsHeader.textContent = `${alertsPanel.classList.contains('collapsed') ? '▸' : '▾'} 🔔 Alerts: ${firing} firing, ${alerts.length - firing} resolved`;
+  
+  const fragment = document.createDocumentFragment();
+  for (const alert of alerts) {
+    const item = document.createElement('div');
+    item.className = `alert-item alert-${alert.state}`;
+    const sample = alert.samples.length > 0 ? alert.samples[alert.samples.length - 1].line : '';
+    const time = new Date(alert.state === 'firing' ? alert.firedAt : alert.resolvedAt).toLocaleTimeString();
+    item.textContent = `${alert.state === 'firing' ? '🔥' : '✔'} ${time} ${alert.rule}${alert.group ? ` [${alert.group}]` : ''} ` +
+      `${alert.peakCount}/${alert.threshold} in ${alert.windowSeconds}s: ${sample}`;
+    item.title = `Click to search for: ${alert.query}`;
+    item.addEventListener('click', () => searchForAlert(alert));
+    fragment.appendChild(item);
+  }
+  alertsList.replaceChildren(fragment);
+}
+
+// Show the lines matching the alert's rule
+function searchForAlert(alert) {
+  if (searchOptions.mode === 'regex') {
+    searchOptions.mode = 'text';
+    updateSearchToggles();
+  }
+  clearTimeout(searchTimeout);
+  textSearchInput.value = alert.query;
+  sendTextSearchToServer(alert.query);
+}
+
+alertsHeader.addEventListener('click', () => {
+  alertsPanel.classList.toggle('collapsed');
+  renderAlerts();
+});
+
+function clearAllFilters() {
+  textSearchInput.value = '';
+  currentTextSearch = '';
+  sendTextSearchToServer('');
+}
+
+// Pause/Resume button functionality
+pauseButton.addEventListener('click', () => {
+  setManualPause(!manuallyPaused);
+  updateUrlState();
+});
+
+function setManualPause(paused) {
+  manuallyPaused = paused;
+  
+  if (manuallyPaused) {
+    pauseButton.textContent = '▶️ Resume';
+    pauseButton.classList.add('paused');
+    ClientLogger.info('Log processing manually paused');
+  } else {
+    pauseButton.textContent = '⏸️ Pause';
+    pauseButton.classList.remove('paused');
+    ClientLogger.info('Log processing manually resumed');
+    
+    // Resume processing if there are pending messages
+    if (pendingMessages.length > 0 && !renderTimeout) {
+      renderTimeout = setTimeout(processPendingMessages, RENDER_DELAY);
+    }
+  }
+  
+  updateScrollStatus();
+}
+
+// Virtualized rendering. allLogs is split into blocks of LOG_BLOCK_SIZE lines by absolute
+// position (droppedLogs + index), so trimming the oldest lines never renumbers a block.
+// Every block has an element in #logs, but only blocks near the viewport hold line
+// elements; the others are empty placeholders with their last measured or an estimated
+// height. Appending lines only touches the last block
+function renderLogs() {
+  const startTime = performance.now();
+  
+  syncLogBlocks();
+  if (!userHasScrolledUp) {
+    logBox.scrollTop = logBox.scrollHeight;
+  }
+  const renderedLines = updateVisibleBlocks();
+  
+  // Rendering the bottom blocks can change their height, so stick to the bottom again
+  if (!userHasScrolledUp) {
+    logBox.scrollTop = logBox.scrollHeight;
+  }
+  
+  scheduleFindMatchesUpdate();
+  
+  const renderTime = performance.now() - startTime;
+  
+  ClientLogger.debug('Logs rendered', {
+    totalLogs: allLogs.length,
+    blocks: logBlocks.length,
+    linesInDom: renderedLines,
+    renderTimeMs: renderTime.toFixed(2),
+    currentTextSearch: currentTextSearch.substring(0, 20)
+  });
+}
+
+// Keep the newest MAX_LOGS lines; the dropped ones leave the view from the top
+function trimLogs() {
+  if (allLogs.length > MAX_LOGS) {
+    const excess = allLogs.length - MAX_LOGS;
+    allLogs.splice(0, excess);
+    droppedLogs += excess;
+  }
+}
+
+// Match the block elements to the lines in allLogs
+function syncLogBlocks() {
+  // A replaced allLogs (new history, search or range) starts the view over
+  if (logBlocksSource !== allLogs) {
+    logBlocks.forEach(block => block.element.remove());
+    logBlocks = [];
+    logBlocksSource = allLogs;
+    droppedLogs = 0;
+  }
+  
+  const firstIndex = Math.floor(droppedLogs / LOG_BLOCK_SIZE);
+  const lastIndex = Math.floor((droppedLogs + allLogs.length - 1) / LOG_BLOCK_SIZE);
+  
+  while (logBlocks.length > 0 && logBlocks[0].index < firstIndex) {
+    logBlocks.shift().element.remove();
+  }
+  const previousLast = logBlocks[logBlocks.length - 1];
+  for (let index = previousLast ? previousLast.index + 1 : firstIndex; index <= lastIndex; index++) {
+    const element = document.createElement('div');
+    element.className = 'log-block';
+    logBox.appendChild(element);
+    logBlocks.push({ index, element, start: -1, size: 0, rendered: false, renderedStart: 0, renderedSize: 0, height: 0, measuredSize: 0 });
+  }
+  
+  // Only new blocks, the first block and the one that was last before can have changed
+  for (const block of logBlocks) {
+    if (block.start !== -1 && block !== logBlocks[0] && block !== previousLast) continue;
+    
+    const start = Math.max(block.index * LOG_BLOCK_SIZE, droppedLogs);
+    const size = Math.min((block.index + 1) * LOG_BLOCK_SIZE, droppedLogs + allLogs.length) - start;
+    if (start !== block.start || size !== block.size) {
+      block.start = start;
+      block.size = size;
+      if (!block.rendered) {
+        block.element.style.height = `${getPlaceholderHeight(block)}px`;
+      }
+    }
+  }
+}
+
+function getPlaceholderHeight(block) {
+  return block.measuredSize === block.size ? block.height : Math.round(block.size * averageLineHeight);
+}
+
+// Render the blocks within RENDER_MARGIN of the viewport and empty the others.
+// Returns the number of lines in the DOM
+function updateVisibleBlocks() {
+  const top = logBox.scrollTop - RENDER_MARGIN;
+  const bottom = logBox.scrollTop + logBox.clientHeight + RENDER_MARGIN;
+  let renderedLines = 0;
+  
+  for (const block of logBlocks) {
+    const blockTop = block.element.offsetTop;
+    const isNearViewport = blockTop + block.element.offsetHeight >= top && blockTop <= bottom;
+    if (isNearViewport) {
+      renderBlock(block);
+      renderedLines += block.size;
+    } else if (block.rendered) {
+      unrenderBlock(block);
+    }
+  }
+  return renderedLines;
+}
+
+function renderBlock(block) {
+  if (block.rendered && block.renderedStart === block.start && block.renderedSize === block.size) {
+    return;
+  }
+  
+  // Lines trimmed from the front of the block mean rendering it again; new lines are appended
+  if (!block.rendered || block.renderedStart !== block.start) {
+    block.element.textContent = '';
+    block.renderedStart = block.start;
+    block.renderedSize = 0;
+  }
+  
+  const fragment = document.createDocumentFragment();
+  const offset = block.start - droppedLogs;
+  highlightDeadline = performance.now() + HIGHLIGHT_BUDGET_MS;
+  for (let i = block.renderedSize; i < block.size; i++) {
+    fragment.appendChild(createLogLine(allLogs[offset + i], block.start + i));
+  }
+  highlightDeadline = Infinity;
+  block.element.appendChild(fragment);
+  block.element.style.height = '';
+  block.rendered = true;
+  block.renderedSize = block.size;
+  
+  block.height = block.element.offsetHeight;
+  block.measuredSize = block.size;
+  if (block.size > 0) {
+    averageLineHeight = averageLineHeight * 0.9 + block.height / block.size * 0.1;
+  }
+}
+
+function unrenderBlock(block) {
+  block.height = block.element.offsetHeight;
+  block.measuredSize = block.renderedSize;
+  block.element.textContent = '';
+  block.element.style.height = `${getPlaceholderHeight(block)}px`;
+  block.rendered = false;
+}
+
+function scheduleVisibleBlocksUpdate() {
+  if (visibleBlocksUpdateScheduled) return;
+  
+  visibleBlocksUpdateScheduled = true;
+  requestAnimationFrame(() => {
+    visibleBlocksUpdateScheduled = false;
+    updateVisibleBlocks();
+  });
+}
+
+function createLogLine(entry, position) {
+  const div = document.createElement('div');
+  div.className = 'log-line';
+  
+  if (entry.gap) {
+    div.className += entry.recovered ? ' log-gap log-recovered' : ' log-gap';
+    div.textContent = entry.line;
+    return div;
+  }
+  
+  if (entry.permalink) {
+    div.className += ' log-permalink';
+  }
+  
+  // Context lines around search matches are dimmed; a separator marks skipped lines
+  if (entry.context) {
+    div.className += ' log-context';
+  }
+  if (entry.separator) {
+    div.appendChild(createContextSeparator(entry, position));
+  }
+  
+  const severity = classifySeverity(entry);
+  if (severity === 'error') {
+    div.className += ' log-error';
+  } else if (severity === 'warning') {
+    div.className += ' log-warning';
+  } else if (severity === 'info') {
+    div.className += ' log-info';
+  }
+  
+  // Server already did all filtering - just display the text, with the hits marked
+  const hits = highlightSearchHits(entry);
+  
+  // Badge showing which vhost and log file the line came from
+  if (entry.source) {
+    const badge = createSourceBadge(entry.source);
+    badge.classList.toggle('search-hit', hits.source);
+    div.appendChild(badge);
+  }
+  
+  const ranges = hits.ranges.map(([start, end]) => [start, end, 'search-hit']);
+  ranges.push(...getFindRanges(entry.line, position));
+  appendHighlightedText(div, entry.line, ranges);
+  
+  if (entry.seq !== undefined) {
+    const link = document.createElement('a');
+    link.className = 'line-link';
+    link.href = getPermalink(entry);
+    link.textContent = '#';
+    link.title = 'Link to this line (click to copy)';
+    div.appendChild(link);
+  }
+  return div;
+}
+
+// The separator above a line that does not directly follow the previous line of its file.
+// Lines loaded with "show more context" appear in it, oldest first; archived lines have no
+// sequence id to ask the server for more with
+function createContextSeparator(entry, position) {
+  const separator = document.createElement('div');
+  separator.className = 'log-separator';
+  
+  if (entry.contextEnd !== 'joined') {
+    separator.appendChild(document.createTextNode('–– '));
+    if (entry.contextEnd === 'start') {
+      separator.appendChild(document.createTextNode('no earlier lines of this file in the server\'s memory'));
+    } else if (entry.seq !== undefined) {
+      const expand = document.createElement('span');
+      expand.className = 'context-expand';
+      expand.dataset.position = position;
+      expand.textContent = entry.expanding ? 'loading…' : '⋯ show more context';
+      separator.appendChild(expand);
+    }
+    if (entry.contextError) {
+      separator.appendChild(document.createTextNode(` (${entry.contextError})`));
+    }
+  }
+  
+  for (const line of entry.expandedContext || []) {
+    separator.appendChild(createLogLine(line));
+  }
+  return separator;
+}
+
+// Load more lines of the same file before the line at an absolute position, up to the
+// previous line shown from that file
+function expandContext(position) {
+  const entry = allLogs[position - droppedLogs];
+  if (!entry || entry.expanding || !streamId) return;
+  
+  const previous = findPreviousLineOfFile(position);
+  const requested = (entry.expandedContext || []).length + CONTEXT_EXPAND_STEP;
+  const params = new URLSearchParams({ seq: entry.seq, before: requested, after: 0, streamId });
+  const refresh = () => {
+    if (allLogs[position - droppedLogs] === entry) {
+      refreshRenderedBlocks(block => block.index === Math.floor(position / LOG_BLOCK_SIZE));
+    }
+  };
+  
+  entry.expanding = true;
+  refresh();
+  fetch(SERVER_URL + '/api/context?' + params)
+    .then(response => response.json().then(body => response.ok ? body : Promise.reject(new Error(body.error || `HTTP ${response.status}`))))
+    .then((body) => {
+      const lines = body.before.filter(line => !previous || line.seq > previous.seq);
+      entry.expandedContext = lines.map(line => ({ ...line, context: true }));
+      entry.contextEnd = lines.length < body.before.length ? 'joined' : body.before.length < requested ? 'start' : null;
+      entry.contextError = null;
+    })
+    .catch((error) => {
+      entry.contextError = error.message;
+      ClientLogger.warn('Failed to load more context', { seq: entry.seq, error: error.message });
+    })
+    .finally(() => {
+      entry.expanding = false;
+      refresh();
+    });
+}
+
+function findPreviousLineOfFile(position) {
+  const entry = allLogs[position - droppedLogs];
+  const end = Math.max(0, position - droppedLogs - MAX_CONTEXT_SCAN);
+  for (let index = position - droppedLogs - 1; index >= end; index--) {
+    const candidate = allLogs[index];
+    if (candidate.source && candidate.source.name === entry.source.name && candidate.source.file === entry.source.file) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+logBox.addEventListener('click', (event) => {
+  const expand = event.target.closest('.context-expand');
+  if (expand) {
+    expandContext(Number(expand.dataset.position));
+  }
+  
+  // Without clipboard access (plain http) following the link is the way to share it
+  const link = event.target.closest('.line-link');
+  if (link && navigator.clipboard) {
+    event.preventDefault();
+    navigator.clipboard.writeText(link.href)
+      .then(() => {
+        link.textContent = '✓';
+      })
+      .catch((error) => {
+        ClientLogger.warn('Could not copy line link', { error: error.message });
+      });
+  }
+});
+
+// Prefer the severity the server derived from parsed fields (status code, error log level)
+// and only fall back to guessing from the raw text for lines in unknown formats
+function classifySeverity(entry) {
+  if (entry.fields && entry.fields.severity) {
+    return entry.fields.severity;
+  }
+  
+  // Optimized regex patterns with early termination
+  const line = entry.line;
+  if (/\s500\s|fatal|[Ee]rror|error_log|ERROR|FATAL/.test(line)) {
+    return 'error';
+  } else if (/\s4\d\d\s|[Ww]arning|WARN|WARNING/.test(line)) {
+    return 'warning';
+  } else if (/\s2\d\d\s|[Ii]nfo|INFO|access_log/.test(line)) {
+    return 'info';
+  }
+  return null;
+}
+
+function createSourceBadge(source) {
+  const badge = document.createElement('span');
+  badge.className = `source-badge source-${source.kind}`;
+  badge.textContent = `${source.vhost || source.name} · ${source.kind}`;
+  badge.title = `${source.name}: ${source.file}`;
+  return badge;
+}
+
+// Search hit highlighting. Hits are marked with <mark> elements around text nodes, so
+// nothing from a log line is ever parsed as HTML
+const QUERY_TERM_PATTERN = /^([A-Za-z_][\w]*)(>=|<=|!=|:|=|>|<)([\s\S]*)$/;
+const HIGHLIGHT_FIELD_ALIASES = { referer: 'referrer', ua: 'userAgent', rt: 'responseTimeMs' };
+const SOURCE_FIELDS = { source: 'name', sourcename: 'name', vhost: 'vhost', file: 'file', kind: 'kind' };
+
+// Where the parsed fields sit in a line, so a field test marks that field rather than the
+// first place its value turns up. These are the server's line patterns with match indices
+const LINE_STAMP_PATTERN = /^\[\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}\] /;
+const REQUEST_LINE_PATTERN = /^([A-Z]+) (\S+)(?: (HTTP\/[\d.]+))?$/d;
+const FIELD_LAYOUTS = {
+  access: {
+    pattern: /^(?:(\S+:\d+) )?(\S+) (\S+) (\S+) \[([^\]]+)\] "((?:[^"\\]|\\.)*)" (\d{3}) (\d+|-)(?: "((?:[^"\\]|\\.)*)" "((?:[^"\\]|\\.)*)")?(.*)$/d,
+    groups: { serverName: 1, client: 2, user: 4, timestamp: 5, request: 6, status: 7, bytes: 8, referrer: 9, userAgent: 10, rest: 11 }
+  },
+  'apache-error': {
+    pattern: /^\[(\w{3} \w{3} \d{1,2} \d{2}:\d{2}:\d{2}(?:\.\d+)? \d{4})\] \[(?:([\w-]+):)?(\w+)\](?: \[pid (\d+)(?::tid (\d+))?\])?(?: \[client ([^\]]+)\])?(?: (\w+\d+):)? ?(.*)$/d,
+    groups: { timestamp: 1, module: 2, level: 3, pid: 4, tid: 5, client: 6, errorCode: 7, message: 8 }
+  },
+  'nginx-error': {
+    pattern: /^(\d{4}\/\d{2}\/\d{2} \d{2}:\d{2}:\d{2}) \[(\w+)\] (\d+)#(\d+): (?:\*(\d+) )?(.*)$/d,
+    groups: { timestamp: 1, level: 2, pid: 3, tid: 4, connection: 5, message: 6 }
+  }
+};
+const fieldSpanCache = new WeakMap();
+
+// The search hits of a line: { ranges, source } where source means the search matched
+// the line's source metadata shown in its badge. Each block has a time budget for this, as
+// a user's regex can take very long on some lines
+function highlightSearchHits(entry) {
+  if (!searchHighlighter || !entry.line) {
+    return { ranges: [], source: false };
+  }
+  if (performance.now() > highlightDeadline) {
+    if (!highlightBudgetWarned) {
+      highlightBudgetWarned = true;
+      ClientLogger.warn('Search highlighting is too slow, some lines are shown unmarked', { budgetMs: HIGHLIGHT_BUDGET_MS });
+    }
+    return { ranges: [], source: false };
+  }
+  return searchHighlighter(entry);
+}
+
+// { field: [start, end] } of the parsed fields found in the line
+function getFieldSpans(entry) {
+  if (fieldSpanCache.has(entry)) {
+    return fieldSpanCache.get(entry);
+  }
+  
+  const spans = {};
+  const format = entry.fields && entry.fields.format;
+  const layout = FIELD_LAYOUTS[format === 'common' || format === 'combined' ? 'access' : format];
+  const stamp = LINE_STAMP_PATTERN.exec(entry.line);
+  const base = stamp ? stamp[0].length : 0;
+  const match = layout ? layout.pattern.exec(entry.line.slice(base)) : null;
+  
+  if (match) {
+    for (const [field, group] of Object.entries(layout.groups)) {
+      if (match.indices[group]) {
+        spans[field] = [base + match.indices[group][0], base + match.indices[group][1]];
+      }
+    }
+  }
+  
+  // The ", key: value" pairs nginx appends to error messages
+  if (match && format === 'nginx-error') {
+    const messageStart = spans.message[0];
+    for (const pair of entry.line.slice(messageStart).matchAll(/, (client|server|request|upstream|host|referrer): ("(?:[^"\\]|\\.)*"|[^,]*)/gd)) {
+      const [start, end] = pair.indices[2];
+      const quoted = pair[2].startsWith('"') ? 1 : 0;
+      spans[pair[1]] = [messageStart + start + quoted, messageStart + end - quoted];
+    }
+  }
+  if (spans.request) {
+    const request = REQUEST_LINE_PATTERN.exec(entry.line.slice(spans.request[0], spans.request[1]));
+    ['method', 'path', 'protocol'].forEach((field, index) => {
+      if (request && request.indices[index + 1]) {
+        spans[field] = request.indices[index + 1].map(offset => spans.request[0] + offset);
+      }
+    });
+  }
+  if (spans.rest) {
+    const time = /(?:^|\s)(?:(?:rt|request_time|upstream_response_time)=)?(\d+(?:\.\d+)?)(?:\s|$)/d.exec(entry.line.slice(spans.rest[0], spans.rest[1]));
+    if (time) {
+      spans.responseTimeMs = time.indices[1].map(offset => spans.rest[0] + offset);
+    }
+  }
+  
+  fieldSpanCache.set(entry, spans);
+  return spans;
+}
+
+// Build the function returning the [start, end] spans of a line that the search matched,
+// or null for no search. Regexes mark their matches; text queries their words, phrases
+// and the values of the fields they test. literal is for queries the server could not
+// parse and searches for as plain text
+function createSearchHighlighter(text, options, literal = false) {
+  if (!text) return null;
+  
+  const flags = options.caseSensitive ? 'g' : 'gi';
+  const wrap = (source) => options.wholeWord ? `(?<!\\w)(?:${source})(?!\\w)` : source;
+  
+  if (options.mode === 'regex') {
+    let pattern;
+    try {
+      pattern = new RegExp(wrap(text), flags);
+    } catch (error) {
+      return null;
+    }
+    return (entry) => ({ ranges: findPatternRanges(pattern, entry.line), source: false });
+  }
+  
+  const terms = literal ? [{ text }] : extractHighlightTerms(text);
+  const textPatterns = terms.filter(term => !term.field).map(term => new RegExp(wrap(escapeRegExp(term.text)), flags));
+  const fieldTerms = terms.filter(term => term.field);
+  
+  return (entry) => {
+    const ranges = textPatterns.flatMap(pattern => findPatternRanges(pattern, entry.line));
+    let source = false;
+    for (const term of fieldTerms) {
+      const key = term.field.toLowerCase();
+      if (SOURCE_FIELDS[key]) {
+        source = source || Boolean(entry.source && entry.source[SOURCE_FIELDS[key]]);
+        continue;
+      }
+      
+      const actual = getEntryFieldValue(entry, term.field);
+      if (actual === null || actual === undefined) {
+        // Not a field of this line, so the server searched for the whole term as text
+        ranges.push(...findPatternRanges(new RegExp(wrap(escapeRegExp(term.text)), flags), entry.line));
+        continue;
+      }
+      
+      // field:value marks the value wherever it occurs in the field, other operators the
+      // field's whole value
+      const span = key === 'line' ? [0, entry.line.length] : getFieldSpans(entry)[getFieldName(entry, term.field)];
+      if (!span) continue;
+      if (term.operator === ':' && typeof actual !== 'number' && !term.value.includes('*')) {
+        const pattern = new RegExp(escapeRegExp(term.value), 'gi');
+        const value = entry.line.slice(span[0], span[1]);
+        ranges.push(...findPatternRanges(pattern, value).map(([start, end]) => [span[0] + start, span[0] + end]));
+      } else {
+        ranges.push(span);
+      }
+    }
+    return { ranges, source };
+  };
+}
+
+// The words, phrases and field tests of a query that make lines match: a light version of
+// the server's query tokenizer that skips whatever NOT applies to and != tests
+function extractHighlightTerms(query) {
+  const tokens = [];
+  let i = 0;
+  
+  const readQuoted = () => {
+    let value = '';
+    i++; // opening quote
+    while (i < query.length && query[i] !== '"') {
+      if (query[i] === '\\' && i + 1 < query.length) i++;
+      value += query[i++];
+    }
+    i++; // closing quote
+    return value;
+  };
+  
+  while (i < query.length) {
+    const char = query[i];
+    
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push(char);
+      i++;
+    } else if (char === '"') {
+      tokens.push({ text: readQuoted() });
+    } else {
+      const start = i;
+      while (i < query.length && !/[\s()"]/.test(query[i])) i++;
+      const word = query.slice(start, i);
+      const termMatch = QUERY_TERM_PATTERN.exec(word);
+      
+      if (word === 'AND' || word === 'OR' || word === 'NOT') {
+        tokens.push(word);
+      } else if (termMatch && termMatch[3] === '' && query[i] === '"') {
+        const value = readQuoted();
+        tokens.push({ text: word + value, field: termMatch[1], operator: termMatch[2], value });
+      } else if (termMatch && termMatch[3] !== '') {
+        tokens.push({ text: word, field: termMatch[1], operator: termMatch[2], value: termMatch[3] });
+      } else {
+        tokens.push({ text: word });
+      }
+    }
+  }
+  
+  const terms = [];
+  for (let index = 0; index < tokens.length; index++) {
+    const token = tokens[index];
+    if (token === 'NOT') {
+      // Skip the negated term or parenthesized group
+      while (tokens[index + 1] === 'NOT') index++;
+      index++;
+      if (tokens[index] === '(') {
+        for (let depth = 1; depth > 0 && index + 1 < tokens.length;) {
+          index++;
+          if (tokens[index] === '(') depth++;
+          if (tokens[index] === ')') depth--;
+        }
+      }
+    } else if (typeof token === 'object' && token.text && token.operator !== '!=') {
+      terms.push(token);
+    }
+  }
+  return terms;
+}
+
+function getFieldName(entry, name) {
+  const key = name.toLowerCase();
+  return HIGHLIGHT_FIELD_ALIASES[key] || Object.keys(entry.fields || {}).find(candidate => candidate.toLowerCase() === key);
+}
+
+function getEntryFieldValue(entry, name) {
+  if (name.toLowerCase() === 'line') return entry.line;
+  
+  const field = getFieldName(entry, name);
+  return field === undefined ? undefined : entry.fields[field];
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Spans of the matches of a global pattern, skipping empty matches
+function findPatternRanges(pattern, text) {
+  const ranges = [];
+  pattern.lastIndex = 0;
+  let match;
+  while (ranges.length < MAX_HIGHLIGHTS_PER_LINE && (match = pattern.exec(text)) !== null) {
+    if (match[0].length === 0) {
+      pattern.lastIndex++;
+      continue;
+    }
+    ranges.push([match.index, match.index + match[0].length]);
+  }
+  return ranges;
+}
+
+// Append the text with every [start, end, className] range wrapped in a <mark>.
+// Where ranges overlap the mark gets the classes of all of them
+function appendHighlightedText(parent, text, ranges) {
+  if (ranges.length === 0) {
+    parent.appendChild(document.createTextNode(text));
+    return;
+  }
+  
+  const boundaries = [...new Set([0, text.length, ...ranges.flatMap(([start, end]) => [start, end])])]
+    .sort((a, b) => a - b);
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    const start = boundaries[i];
+    const end = boundaries[i + 1];
+    const segment = text.slice(start, end);
+    const classes = new Set(ranges.filter(range => range[0] <= start && range[1] >= end).map(range => range[2]));
+    
+    if (classes.size === 0) {
+      parent.appendChild(document.createTextNode(segment));
+    } else {
+      const mark = document.createElement('mark');
+      mark.className = [...classes].join(' ');
+      mark.textContent = segment;
+      parent.appendChild(mark);
+    }
+  }
+}
+
+// Render the blocks in the DOM again, e.g. after the highlighted terms changed
+function refreshRenderedBlocks(filter = () => true) {
+  for (const block of logBlocks) {
+    if (block.rendered && filter(block)) {
+      block.renderedStart = -1;
+      renderBlock(block);
+    }
+  }
+}
+
+// Find in view. Matches are looked for in every line held in the browser, not only the
+// rendered ones, without touching the server search. Jumping to a match holds the view
+// like scrolling up does, so the stream stays paused until the user scrolls to the bottom
+function getFindRanges(line, position) {
+  if (!findText) return [];
+  
+  const current = findMatchesSource === allLogs ? findMatches[findCurrent] : null;
+  const needle = findText.toLowerCase();
+  const text = line.toLowerCase();
+  const ranges = [];
+  for (let start = text.indexOf(needle); start !== -1 && ranges.length < MAX_HIGHLIGHTS_PER_LINE; start = text.indexOf(needle, start + needle.length)) {
+    const isCurrent = current && current.position === position && current.start === start;
+    ranges.push([start, start + needle.length, isCurrent ? 'find-hit find-current' : 'find-hit']);
+  }
+  return ranges;
+}
+
+// Collect the matches of findText in allLogs, staying on the current match if it is still there
+function updateFindMatches() {
+  clearTimeout(findScanTimeout);
+  findScanTimeout = null;
+  
+  const current = findMatchesSource === allLogs ? findMatches[findCurrent] : null;
+  findMatches = [];
+  findMatchesSource = allLogs;
+  
+  if (findText) {
+    const needle = findText.toLowerCase();
+    for (let index = 0; index < allLogs.length && findMatches.length < MAX_FIND_MATCHES; index++) {
+      if (allLogs[index].gap) continue;
+      
+      const text = allLogs[index].line.toLowerCase();
+      for (let start = text.indexOf(needle); start !== -1 && findMatches.length < MAX_FIND_MATCHES; start = text.indexOf(needle, start + needle.length)) {
+        findMatches.push({ position: droppedLogs + index, start });
+      }
+    }
+  }
+  
+  findCurrent = current
+    ? findMatches.findIndex(match => match.position === current.position && match.start === current.start)
+    : -1;
+  updateFindCount();
+}
+
+// Lines keep arriving while the view follows the stream; count them in once they settle
+function scheduleFindMatchesUpdate() {
+  if (findText && !findScanTimeout) {
+    findScanTimeout = setTimeout(updateFindMatches, 250);
+  }
+}
+
+function updateFindCount() {
+  if (!findText) {
+    findCountEl.textContent = '';
+    return;
+  }
+  
+  const total = findMatches.length >= MAX_FIND_MATCHES ? `${MAX_FIND_MATCHES}+` : findMatches.length;
+  findCountEl.textContent = findCurrent === -1 ? `${total} found` : `${findCurrent + 1} of ${total}`;
+}
+
+function setFindText(text) {
+  findText = text;
+  findCurrent = -1;
+  updateFindMatches();
+  refreshRenderedBlocks();
+}
+
+// Move to the next (step 1) or previous (step -1) match
+function moveFindMatch(step) {
+  if (findMatchesSource !== allLogs || findScanTimeout) {
+    updateFindMatches();
+  }
+  if (findMatches.length === 0) return;
+  
+  const previous = findMatches[findCurrent];
+  if (findCurrent === -1) {
+    findCurrent = step > 0 ? 0 : findMatches.length - 1;
+  } else {
+    findCurrent = (findCurrent + step + findMatches.length) % findMatches.length;
+  }
+  const match = findMatches[findCurrent];
+  
+  const blockIndexes = new Set([match.position, previous ? previous.position : match.position].map(position => Math.floor(position / LOG_BLOCK_SIZE)));
+  refreshRenderedBlocks(block => blockIndexes.has(block.index));
+  scrollToLogLine(match.position);
+  updateFindCount();
+}
+
+// Scroll the line at an absolute position into the middle of the view, pausing the stream
+function scrollToLogLine(position) {
+  const block = logBlocks.length > 0 ? logBlocks[Math.floor(position / LOG_BLOCK_SIZE) - logBlocks[0].index] : null;
+  if (!block) return;
+  
+  renderBlock(block);
+  const lineElement = block.element.children[position - block.start];
+  if (!lineElement) return;
+  
+  userHasScrolledUp = true;
+  lineElement.scrollIntoView({ block: 'center' });
+  // Rendering the blocks around it can move the line, so scroll to it once more
+  updateVisibleBlocks();
+  lineElement.scrollIntoView({ block: 'center' });
+  findJumpScrollTop = logBox.scrollTop;
+  updateScrollStatus();
+}
+
+findInput.addEventListener('input', () => setFindText(findInput.value));
+findInput.addEventListener('keydown', (event) => {
+  if (event.key === 'Enter') {
+    event.preventDefault();
+    moveFindMatch(event.shiftKey ? -1 : 1);
+  } else if (event.key === 'Escape') {
+    findInput.value = '';
+    setFindText('');
+  }
+});
+findPrevButton.addEventListener('click', () => moveFindMatch(-1));
+findNextButton.addEventListener('click', () => moveFindMatch(1));
+
+document.addEventListener('keydown', (event) => {
+  if (event.key === 'F3') {
+    event.preventDefault();
+    if (findText) {
+      moveFindMatch(event.shiftKey ? -1 : 1);
+    } else {
+      findInput.focus();
+    }
+  }
+});
+
+// How far the server reports this client behind the live stream, or null when it keeps up
+function getServerLag() {
+  const lag = lastServerStats && lastServerStats.lag;
+  return lag && lag.mode !== 'live' ? lag : null;
+}
+
+function formatArchiveProgress(progress) {
+  if (progress.queued) {
+    return 'waiting for other archive searches to finish';
+  }
+  if (progress.files === null) {
+    return 'listing archive files';
+  }
+  const percent = progress.totalBytes > 0 ? Math.floor(progress.bytesRead * 100 / progress.totalBytes) : 100;
+  return `searching file ${Math.min(progress.filesDone + 1, progress.files)} of ${progress.files}, ${percent}%`;
+}
+
+// Function to update log count display
+function updateLogCount() {
+  if (logCountEl) {
+    const isPending = (userHasScrolledUp || manuallyPaused) && pendingMessages.length > 0;
+    const isHighLoad = pendingMessages.length > 100;
+    
+    let statusText = `${allLogs.length} lines`;
+    
+    if (rangeView) {
+      const formatBound = (time) => time === null ? '…' : new Date(time).toLocaleString();
+      statusText += ` [range: ${formatBound(rangeView.since)} – ${formatBound(rangeView.until)}]`;
+      if (rangeView.archive) {
+        statusText += ` [archives of ${rangeView.archive}]`;
+      }
+      if (!rangeResult) {
+        statusText += archiveProgress ? ` (${formatArchiveProgress(archiveProgress)})` : ' (loading)';
+      } else if (rangeResult.cancelled) {
+        statusText += ' (search cancelled)';
+      } else if (rangeResult.truncated) {
+        statusText += ` (first ${rangeResult.count} shown)`;
+      }
+    }
+    
+    // Show text search info
+    if (currentTextSearch) {
+      const searchDisplay = currentTextSearch.length > 10 ? 
+        currentTextSearch.substring(0, 10) + '...' : 
+        currentTextSearch;
+      statusText += ` [search: "${searchDisplay}"]`;
+    }
+    
+    if (isPending) {
+      statusText += ` (${pendingMessages.length} pending)`;
+    }
+    if (isHighLoad && !isPending) {
+      statusText += ` (processing ${pendingMessages.length})`;
+    }
+    
+    const lag = getServerLag();
+    if (lag) {
+      statusText += ` (${lag.mode === 'sampled' ? 'sampled, ' : ''}${Math.round(lag.lagMs / 1000)}s behind, ${lag.skippedLines} skipped)`;
+    }
+    
+    logCountEl.textContent = statusText;
+  }
+}
+
+// Function to update scroll status indicator
+function updateScrollStatus() {
   // Update visual indicator when logs are paused or under high load
   if (logCountEl) {
     const isPending = (userHasScrolledUp || manuallyPaused) && pendingMessages.length > 0;
@@ -471,7 +2367,7 @@ function updateScrollStatus() {
     
     if (isPending) {
       logCountEl.classList.add('log-count-paused');
-    } else if (isHighLoad) {
+    } else if (isHighLoad || getServerLag()) {
       logCountEl.classList.add('log-count-high-load');
     }
   }
@@ -480,6 +2376,14 @@ function updateScrollStatus() {
 
 // Detect user scrolling to prevent auto-scroll
 logBox.addEventListener('scroll', () => {
+  scheduleVisibleBlocksUpdate();
+  
+  // A jump to a find match keeps the stream paused even when the match is at the bottom
+  if (findJumpScrollTop !== null && Math.abs(logBox.scrollTop - findJumpScrollTop) < 1) {
+    return;
+  }
+  findJumpScrollTop = null;
+  
   const isAtBottom = logBox.scrollTop + logBox.clientHeight >= logBox.scrollHeight - 5;
   const wasScrolledUp = userHasScrolledUp;
   userHasScrolledUp = !isAtBottom;
@@ -522,7 +2426,8 @@ ClientLogger.info('Live log stream client initialized', {
   url: window.location.href
 });
 
-// Start initial WebSocket connection
+// Start initial WebSocket connection with the view the URL describes
+restoreUrlState();
 createWebSocketConnection();
 
 // Performance monitoring
@@ -543,7 +2448,9 @@ setInterval(() => {
       currentLogsCount: allLogs.length,
       pendingMessagesCount: pendingMessages.length,
       currentTextSearch: currentTextSearch.substring(0, 20),
-      connectionState: ws.readyState,
+      transport,
+      connectionState: transport === 'sse' ? eventSource.readyState : ws.readyState,
+      serverStats: lastServerStats,
       memoryUsage: performance.memory ? {
         used: Math.round(performance.memory.usedJSHeapSize / 1024 / 1024),
         total: Math.round(performance.memory.totalJSHeapSize / 1024 / 1024),
@@ -577,6 +2484,9 @@ window.addEventListener('beforeunload', () => {
   if (ws && ws.readyState === WebSocket.OPEN) {
     ws.close(1000, 'Page unloading');
   }
+  if (eventSource) {
+    eventSource.close();
+  }
   
   ClientLogger.info('Page unloading', {
     sessionDuration,
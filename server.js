@@ -2,7 +2,15 @@ const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const WebSocket = require('ws');
-const { spawn } = require('child_process');
+const EventEmitter = require('events');
+const vm = require('vm');
+const crypto = require('crypto');
+const util = require('util');
+const readline = require('readline');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+const { setTimeout: delay, setImmediate: yieldToEventLoop } = require('timers/promises');
+const { execFile } = require('child_process');
 
 // Enhanced logging utility
 class Logger {
@@ -40,71 +48,3855 @@ class Logger {
   }
 }
 
-// Function to obfuscate IP addresses in log data
-function obfuscateIPAddresses(logData) {
-  // IPv4 pattern: matches standard IPv4 addresses
-  const ipv4Pattern = /\b(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\b/g;
+// Redaction: an ordered list of rules applied to every line before it is parsed, stored or
+// sent anywhere. A rule is a list of { regex, replace } steps; replace gets the arguments of
+// a String.prototype.replace callback
+
+// IPv4 pattern: matches standard IPv4 addresses
+const IPV4_PATTERN = /\b(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\b/g;
+
+// IPv6 pattern: matches standard IPv6 addresses. Forms ending in "::" come last so
+// "2001:db8::1" is matched whole rather than as "2001:db8::"
+const IPV6_PATTERN = /\b(?:[0-9a-fA-F]{1,4}:){7}[0-9a-fA-F]{1,4}\b|\b(?:[0-9a-fA-F]{1,4}:){1,6}:[0-9a-fA-F]{1,4}\b|\b(?:[0-9a-fA-F]{1,4}:){1,5}(?::[0-9a-fA-F]{1,4}){1,2}\b|\b(?:[0-9a-fA-F]{1,4}:){1,4}(?::[0-9a-fA-F]{1,4}){1,3}\b|\b(?:[0-9a-fA-F]{1,4}:){1,3}(?::[0-9a-fA-F]{1,4}){1,4}\b|\b(?:[0-9a-fA-F]{1,4}:){1,2}(?::[0-9a-fA-F]{1,4}){1,5}\b|\b[0-9a-fA-F]{1,4}:(?::[0-9a-fA-F]{1,4}){1,6}\b|\b::(?:[0-9a-fA-F]{1,4}:){0,6}[0-9a-fA-F]{1,4}\b|\b(?:[0-9a-fA-F]{1,4}:){1,7}:\b/g;
+
+// Show the first 2 octets, mask the rest
+function maskIPv4(match) {
+  const parts = match.split('.');
+  return `${parts[0]}.${parts[1]}.xxx.xxx`;
+}
+
+// Show the first 2 segments, mask the rest
+function maskIPv6(match) {
+  if (match.includes('::')) {
+    const firstPart = match.split('::')[0];
+    const segments = firstPart.split(':');
+    if (segments.length >= 2) {
+      return `${segments[0]}:${segments[1]}::xxxx:xxxx:xxxx:xxxx`;
+    } else {
+      return `${segments[0]}:xxxx::xxxx:xxxx:xxxx:xxxx`;
+    }
+  } else {
+    const parts = match.split(':');
+    return `${parts[0]}:${parts[1]}:xxxx:xxxx:xxxx:xxxx:xxxx:xxxx`;
+  }
+}
+
+// Keyed pseudonyms: every address becomes a token that stays the same for the whole UTC
+// day, so one visitor can be followed across lines without showing the address. The day
+// key is derived from the secret, so tokens agree across restarts and instances but not
+// across days
+class IpPseudonymizer {
+  constructor(secret) {
+    this.secret = secret;
+    this.day = null;
+    this.key = null;
+  }
+
+  dayKey() {
+    const day = new Date().toISOString().slice(0, 10);
+    if (day !== this.day) {
+      this.day = day;
+      this.key = crypto.createHmac('sha256', this.secret).update(`ip-pseudonym:${day}`).digest();
+    }
+    return this.key;
+  }
+
+  digest(address, length) {
+    return crypto.createHmac('sha256', this.dayKey()).update(address).digest('hex').slice(0, length);
+  }
+
+  ipv4(match) {
+    return `ip4-${this.digest(match, 8)}`;
+  }
+
+  // Different spellings of the same IPv6 address get the same token
+  ipv6(match) {
+    return `ip6-${this.digest(canonicalIPv6(match), 12)}`;
+  }
+}
+
+function canonicalIPv6(address) {
+  const [head, tail] = address.toLowerCase().split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const missing = tail === undefined ? 0 : 8 - headGroups.length - tailGroups.length;
+  return [...headGroups, ...Array(Math.max(missing, 0)).fill('0'), ...tailGroups]
+    .map(group => group.padStart(4, '0'))
+    .join(':');
+}
+
+// Card numbers pass the Luhn check; other long digit runs (ids, timestamps) mostly don't
+function passesLuhnCheck(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+const SECRET_PARAM_NAMES = 'password|passwd|pwd|pass|secret|token|access_token|refresh_token|id_token|api_key|apikey|auth|key|signature|sig';
+const SESSION_COOKIE_NAMES = 'PHPSESSID|JSESSIONID|ASP\\.NET_SessionId|sessionid|session_id|connect\\.sid|laravel_session|_session_id';
+
+// Built-in rules are factories taking the rule's config entry for their options
+const BUILTIN_REDACTION_RULES = {
+  // strategy "prefix" (default) keeps the first half of the address, "hmac" replaces it
+  // with a daily keyed-hash token derived from `secret`
+  'ip-address': (options = {}) => {
+    const strategy = options.strategy || 'prefix';
+    if (strategy === 'prefix') {
+      return [
+        { regex: IPV4_PATTERN, replace: maskIPv4 },
+        { regex: IPV6_PATTERN, replace: maskIPv6 }
+      ];
+    }
+    if (strategy !== 'hmac') {
+      throw new ConfigError('The ip-address redaction strategy must be prefix or hmac');
+    }
+    
+    let secret = options.secret;
+    if (secret === undefined) {
+      secret = crypto.randomBytes(32).toString('hex');
+      Logger.warn('No secret for ip-address pseudonyms, tokens change when the server restarts');
+    } else if (typeof secret !== 'string' || secret.length < 16) {
+      throw new ConfigError('The ip-address redaction secret must be a string of at least 16 characters');
+    }
+    
+    const pseudonymizer = new IpPseudonymizer(secret);
+    return [
+      { regex: IPV4_PATTERN, replace: (match) => pseudonymizer.ipv4(match) },
+      { regex: IPV6_PATTERN, replace: (match) => pseudonymizer.ipv6(match) }
+    ];
+  },
+  // Keeps the domain, which is rarely personal and often useful
+  'email': () => [
+    { regex: /\b[A-Za-z0-9._%+-]+@((?:[A-Za-z0-9-]+\.)+[A-Za-z]{2,})\b/g, replace: (match, domain) => `***@${domain}` }
+  ],
+  'bearer-token': () => [
+    { regex: /\b(Bearer|Basic|Token)(\s+)[A-Za-z0-9._~+/=-]{8,}/gi, replace: (match, scheme, space) => `${scheme}${space}[redacted]` }
+  ],
+  // Values of password-, token- and key-like parameters in query strings and form bodies
+  'query-secret': () => [
+    { regex: new RegExp(`([?&;](?:${SECRET_PARAM_NAMES})=)[^&;\\s"']*`, 'gi'), replace: (match, name) => `${name}[redacted]` }
+  ],
+  'session-id': () => [
+    { regex: new RegExp(`\\b(${SESSION_COOKIE_NAMES})=[^;&\\s"']+`, 'gi'), replace: (match, name) => `${name}=[redacted]` }
+  ],
+  // Keeps the last four digits like receipts do
+  'credit-card': () => [
+    {
+      regex: /\b\d(?:[ -]?\d){12,18}\b/g,
+      replace: (match) => {
+        const digits = match.replace(/\D/g, '');
+        return passesLuhnCheck(digits) ? `[card ****${digits.slice(-4)}]` : match;
+      }
+    }
+  ]
+};
+
+// Replacement for custom rules with the mask strategy: every character but the last `keep`
+function maskText(text, keep) {
+  const visible = keep > 0 ? text.slice(-keep) : '';
+  return '*'.repeat(text.length - visible.length) + visible;
+}
+
+// Applies the rules enabled for each source and counts what every rule replaced
+class Redactor {
+  constructor(rules, sources) {
+    this.counts = new Map(rules.map(rule => [rule.name, 0]));
+    this.pipelines = new Map();
+    for (const source of sources) {
+      const enabled = source.redact === null ? rules : rules.filter(rule => source.redact.includes(rule.name));
+      this.pipelines.set(source.name, enabled);
+    }
+  }
+
+  redact(line, sourceName) {
+    let redacted = line;
+    for (const rule of this.pipelines.get(sourceName) || []) {
+      let count = 0;
+      for (const step of rule.steps) {
+        redacted = redacted.replace(step.regex, (...args) => {
+          const replacement = step.replace(...args);
+          if (replacement !== args[0]) count++;
+          return replacement;
+        });
+      }
+      if (count > 0) {
+        this.counts.set(rule.name, this.counts.get(rule.name) + count);
+      }
+    }
+    return redacted;
+  }
+
+  getCounts() {
+    return Object.fromEntries(this.counts);
+  }
+}
+
+// Configuration loading
+const CONFIG_PATH = process.env.LOG_STREAM_CONFIG || path.join(__dirname, 'config.json');
+
+// Used when no config file exists so the server keeps its original behaviour
+const DEFAULT_SOURCES = [
+  {
+    name: 'vhosts',
+    paths: ['/mnt/vhosts/*/logs/'],
+    exclude: ['*.gz'],
+    historyLines: 100,
+    enabled: true
+  }
+];
+
+const LOG_KINDS = ['access', 'error', 'other'];
+const SEARCH_MODES = ['text', 'regex'];
+
+const DEFAULT_SEARCH_OPTIONS = {
+  regexTimeoutMs: 100, // Time budget for matching one batch of lines against a regex
+  maxPatternLength: 1000,
+  maxContextLines: 20, // Most lines of context a client may ask for before and after each match
+  maxArchiveScans: 2 // Archive searches running at once; further ones wait for a free slot
+};
+
+const DEFAULT_TAIL_OPTIONS = {
+  pollIntervalMs: 250, // How often followed files are checked for new data
+  scanIntervalMs: 5000, // How often source globs are re-expanded to find new files
+  maxReadBytes: 1024 * 1024, // Upper bound read from one file per poll
+  restartInitialDelayMs: 1000, // First retry after a source reader failed, doubling from there
+  restartMaxDelayMs: 60000,
+  stallTimeoutMs: 10 * 60 * 1000 // A source without new bytes for this long counts as stalled
+};
+
+const DEFAULT_STORE_OPTIONS = {
+  enabled: false,
+  dir: path.join(__dirname, 'data'),
+  segmentBytes: 16 * 1024 * 1024, // Start a new segment file after this size
+  segmentMaxAgeMinutes: 60, // or once the current one is this old
+  maxBytes: 1024 * 1024 * 1024, // Retention: total size of all segments
+  maxAgeHours: 7 * 24, // Retention: age of the newest line in a segment
+  indexInterval: 1000 // Entries between sparse index points
+};
+
+// Slow clients: once a client's socket holds more than maxQueueBytes unsent, its live lines
+// wait on the server, at most maxPendingLines of them, and the policy decides what happens
+//   drop-oldest  the oldest waiting lines are dropped; the client is told how many
+//   sample       only every sampleEvery-th line is kept until the client catches up
+//   disconnect   like drop-oldest, but a client still behind after disconnectAfterMs is
+//                dropped so it reconnects and resumes from the history
+const BACKPRESSURE_POLICIES = ['drop-oldest', 'sample', 'disconnect'];
+
+const DEFAULT_BACKPRESSURE_OPTIONS = {
+  policy: 'drop-oldest',
+  maxQueueBytes: 1024 * 1024,
+  maxPendingLines: 5000,
+  sampleEvery: 10,
+  disconnectAfterMs: 30000
+};
+
+const DEFAULT_AUTH_OPTIONS = {
+  enabled: false,
+  tokens: [], // Static bearer tokens: [{ user, sha256 }] with the hex SHA-256 of the token
+  htpasswd: null, // Path of an htpasswd file for basic auth and the login page
+  sessionSecret: null, // Signs session cookies; a random one means sessions end on restart
+  sessionTtlHours: 12,
+  secureCookies: false, // Set when served over HTTPS (behind a proxy)
+  acl: null // { "<user>" or "*": { sources: [...], vhosts: [...] } }, null allows everything
+};
+
+// Every built-in rule, in the order they run, unless the config lists its own
+const DEFAULT_REDACTION_RULES = Object.keys(BUILTIN_REDACTION_RULES);
+
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+function normalizeSource(source, index) {
+  if (!source || typeof source !== 'object') {
+    throw new ConfigError(`sources[${index}] must be an object`);
+  }
+  if (typeof source.name !== 'string' || !source.name.trim()) {
+    throw new ConfigError(`sources[${index}].name must be a non-empty string`);
+  }
+  
+  const paths = typeof source.paths === 'string' ? [source.paths] : source.paths;
+  if (!Array.isArray(paths) || paths.length === 0 || !paths.every(p => typeof p === 'string' && p.trim())) {
+    throw new ConfigError(`sources[${index}].paths must be a glob or a non-empty list of globs`);
+  }
+  
+  const exclude = source.exclude === undefined ? [] : (typeof source.exclude === 'string' ? [source.exclude] : source.exclude);
+  if (!Array.isArray(exclude) || !exclude.every(p => typeof p === 'string')) {
+    throw new ConfigError(`sources[${index}].exclude must be a glob or a list of globs`);
+  }
+  
+  const historyLines = source.historyLines === undefined ? 100 : source.historyLines;
+  if (!Number.isInteger(historyLines) || historyLines < 0) {
+    throw new ConfigError(`sources[${index}].historyLines must be a non-negative integer`);
+  }
+  
+  let vhostPattern = null;
+  if (source.vhostPattern !== undefined) {
+    try {
+      vhostPattern = new RegExp(source.vhostPattern);
+    } catch (error) {
+      throw new ConfigError(`sources[${index}].vhostPattern is not a valid regular expression: ${error.message}`);
+    }
+  }
+  
+  if (source.kind !== undefined && !LOG_KINDS.includes(source.kind)) {
+    throw new ConfigError(`sources[${index}].kind must be one of ${LOG_KINDS.join(', ')}`);
+  }
+  
+  // Overrides tail.stallTimeoutMs for sources that are quiet by nature; 0 turns it off
+  if (source.stallTimeoutMs !== undefined && (!Number.isInteger(source.stallTimeoutMs) || source.stallTimeoutMs < 0)) {
+    throw new ConfigError(`sources[${index}].stallTimeoutMs must be a non-negative integer`);
+  }
+  
+  // The LogFormat / log_format the server writes with, only used to find the response time
+  if (source.logFormat !== undefined && typeof source.logFormat !== 'string') {
+    throw new ConfigError(`sources[${index}].logFormat must be a string`);
+  }
+  
+  // Names of the redaction rules for this source; without a list every rule applies
+  if (source.redact !== undefined && (!Array.isArray(source.redact) || !source.redact.every(name => typeof name === 'string'))) {
+    throw new ConfigError(`sources[${index}].redact must be a list of redaction rule names`);
+  }
+  
+  return {
+    name: source.name.trim(),
+    paths: paths.map(p => p.trim()),
+    exclude,
+    historyLines,
+    vhostPattern,
+    kind: source.kind || null,
+    redact: source.redact || null,
+    responseTimeUnit: source.logFormat === undefined ? null : responseTimeUnitOf(source.logFormat),
+    stallTimeoutMs: source.stallTimeoutMs === undefined ? null : source.stallTimeoutMs,
+    enabled: source.enabled !== false
+  };
+}
+
+// The unit of the response time a log format writes after the request fields, or null
+// when it writes none: Apache %D and %{us}T are microseconds, %{ms}T milliseconds and
+// %T seconds, nginx $request_time and $upstream_response_time seconds with a fraction
+function responseTimeUnitOf(logFormat) {
+  if (/%(?:[<>]?D|\{us\}T)/.test(logFormat)) return 'us';
+  if (/%\{ms\}T/.test(logFormat)) return 'ms';
+  if (/%(?:[<>]?T|\{s\}T)|\$(?:request_time|upstream_response_time)\b/.test(logFormat)) return 's';
+  return null;
+}
+
+// Custom rules are { name, pattern, flags, strategy, replacement, keep }. The replace
+// strategy substitutes replacement ($1, $& refer to the match); mask stars out the first
+// capture group, or the whole match without groups, keeping its last `keep` characters
+function normalizeRedactionRule(rule, index) {
+  if (typeof rule === 'string') {
+    rule = { name: rule };
+  }
+  if (!rule || typeof rule !== 'object' || typeof rule.name !== 'string' || !rule.name.trim()) {
+    throw new ConfigError(`redaction.rules[${index}] must be a built-in rule name or an object with a name`);
+  }
+  
+  const name = rule.name.trim();
+  if (rule.pattern === undefined) {
+    if (!BUILTIN_REDACTION_RULES[name]) {
+      throw new ConfigError(`redaction.rules[${index}] "${name}" is not a built-in rule (${DEFAULT_REDACTION_RULES.join(', ')}) and has no pattern`);
+    }
+    return { name, steps: BUILTIN_REDACTION_RULES[name](rule) };
+  }
+  
+  let regex;
+  try {
+    const flags = typeof rule.flags === 'string' ? rule.flags : '';
+    regex = new RegExp(rule.pattern, flags.includes('g') ? flags : flags + 'g');
+  } catch (error) {
+    throw new ConfigError(`redaction.rules[${index}].pattern is not a valid regular expression: ${error.message}`);
+  }
+  const groupCount = new RegExp(`${regex.source}|`).exec('').length - 1;
+  
+  const strategy = rule.strategy || 'replace';
+  if (strategy === 'mask') {
+    const keep = rule.keep === undefined ? 0 : rule.keep;
+    if (!Number.isInteger(keep) || keep < 0) {
+      throw new ConfigError(`redaction.rules[${index}].keep must be a non-negative integer`);
+    }
+    // The first group is found by where it matched: the same pattern, run with match
+    // indices at the offset of the match, gives its exact span
+    const located = new RegExp(regex.source, [...new Set(regex.flags.replace('g', '') + 'yd')].join(''));
+    return {
+      name,
+      steps: [{
+        regex,
+        replace: (match, ...groups) => {
+          if (groupCount === 0 || typeof groups[0] !== 'string') return maskText(match, keep);
+          const offset = groups[groupCount];
+          located.lastIndex = offset;
+          const span = located.exec(groups[groupCount + 1]).indices[1];
+          const start = Math.max(span[0] - offset, 0);
+          const end = Math.min(span[1] - offset, match.length);
+          if (start >= end) return match;
+          return match.slice(0, start) + maskText(match.slice(start, end), keep) + match.slice(end);
+        }
+      }]
+    };
+  }
+  if (strategy !== 'replace') {
+    throw new ConfigError(`redaction.rules[${index}].strategy must be replace or mask`);
+  }
+  
+  const replacement = rule.replacement === undefined ? '[redacted]' : rule.replacement;
+  if (typeof replacement !== 'string') {
+    throw new ConfigError(`redaction.rules[${index}].replacement must be a string`);
+  }
+  return {
+    name,
+    steps: [{
+      regex,
+      replace: (match, ...groups) => replacement.replace(/\$(\d+|&)/g, (reference, group) => {
+        if (group === '&') return match;
+        const value = Number(group) <= groupCount ? groups[Number(group) - 1] : undefined;
+        return value === undefined ? '' : value;
+      })
+    }]
+  };
+}
+
+function normalizeRedaction(rawRedaction, sources) {
+  const rawRules = rawRedaction && rawRedaction.rules !== undefined ? rawRedaction.rules : DEFAULT_REDACTION_RULES;
+  if (!Array.isArray(rawRules)) {
+    throw new ConfigError('redaction.rules must be a list');
+  }
+  
+  const rules = rawRules.map(normalizeRedactionRule);
+  const names = new Set();
+  for (const rule of rules) {
+    if (names.has(rule.name)) {
+      throw new ConfigError(`Duplicate redaction rule "${rule.name}"`);
+    }
+    names.add(rule.name);
+  }
+  
+  for (const source of sources) {
+    const unknown = (source.redact || []).filter(name => !names.has(name));
+    if (unknown.length > 0) {
+      throw new ConfigError(`Source "${source.name}" enables unknown redaction rule ${unknown.map(name => `"${name}"`).join(', ')}`);
+    }
+  }
+  return { rules };
+}
+
+const ALERT_GROUP_FIELDS = ['vhost', 'source'];
+const ALERT_SINK_TYPES = ['webhook', 'command'];
+const ALERT_RULE_NAME_PATTERN = /^[\w.-]+$/;
+
+// Named notification targets for alert rules, besides the built-in "panel" of the web UI
+//   { "type": "webhook", "url": "https://...", "headers": {...}, "timeoutMs": 5000 }
+//   { "type": "command", "command": ["/usr/local/bin/notify", "--flag"], "timeoutMs": 10000 }
+function normalizeAlertSink(sink, name) {
+  if (!sink || typeof sink !== 'object') {
+    throw new ConfigError(`alerts.sinks["${name}"] must be an object`);
+  }
+  if (name === 'panel') {
+    throw new ConfigError('alerts.sinks cannot redefine the built-in "panel" sink');
+  }
+  if (!ALERT_SINK_TYPES.includes(sink.type)) {
+    throw new ConfigError(`alerts.sinks["${name}"].type must be one of ${ALERT_SINK_TYPES.join(', ')}`);
+  }
+  
+  const timeoutMs = sink.timeoutMs === undefined ? (sink.type === 'webhook' ? 5000 : 10000) : sink.timeoutMs;
+  if (!Number.isInteger(timeoutMs) || timeoutMs <= 0) {
+    throw new ConfigError(`alerts.sinks["${name}"].timeoutMs must be a positive integer`);
+  }
+  
+  if (sink.type === 'webhook') {
+    if (typeof sink.url !== 'string' || !/^https?:\/\//.test(sink.url)) {
+      throw new ConfigError(`alerts.sinks["${name}"].url must be an http or https URL`);
+    }
+    const headers = sink.headers || {};
+    if (typeof headers !== 'object' || Array.isArray(headers) || !Object.values(headers).every(value => typeof value === 'string')) {
+      throw new ConfigError(`alerts.sinks["${name}"].headers must map header names to strings`);
+    }
+    return { name, type: 'webhook', url: sink.url, headers, timeoutMs };
+  }
+  
+  // Run directly without a shell, so alert contents never end up in a command line
+  if (!Array.isArray(sink.command) || sink.command.length === 0 || !sink.command.every(part => typeof part === 'string')) {
+    throw new ConfigError(`alerts.sinks["${name}"].command must be a non-empty list of strings`);
+  }
+  return { name, type: 'command', command: sink.command, timeoutMs };
+}
+
+// An alert fires when a rule's query matched at least threshold lines within the last
+// windowSeconds, separately per vhost or source with groupBy, and resolves when the count
+// drops below again. A group does not fire again until cooldownSeconds after it last fired
+function normalizeAlertRule(rule, index, sourceNames, sinkNames) {
+  if (!rule || typeof rule !== 'object') {
+    throw new ConfigError(`alerts.rules[${index}] must be an object`);
+  }
+  if (typeof rule.name !== 'string' || !ALERT_RULE_NAME_PATTERN.test(rule.name)) {
+    throw new ConfigError(`alerts.rules[${index}].name must consist of letters, digits, ".", "_" and "-"`);
+  }
+  if (typeof rule.query !== 'string' || !rule.query.trim()) {
+    throw new ConfigError(`alerts.rules[${index}].query must be a non-empty string`);
+  }
+  
+  const normalized = {
+    name: rule.name,
+    query: rule.query,
+    threshold: rule.threshold === undefined ? 1 : rule.threshold,
+    windowSeconds: rule.windowSeconds === undefined ? 60 : rule.windowSeconds,
+    cooldownSeconds: rule.cooldownSeconds === undefined ? 300 : rule.cooldownSeconds,
+    groupBy: rule.groupBy || null,
+    sources: rule.sources || null,
+    notify: rule.notify || ['panel']
+  };
+  
+  for (const key of ['threshold', 'windowSeconds']) {
+    if (!Number.isInteger(normalized[key]) || normalized[key] <= 0) {
+      throw new ConfigError(`alerts.rules[${index}].${key} must be a positive integer`);
+    }
+  }
+  if (!Number.isInteger(normalized.cooldownSeconds) || normalized.cooldownSeconds < 0) {
+    throw new ConfigError(`alerts.rules[${index}].cooldownSeconds must be a non-negative integer`);
+  }
+  if (normalized.groupBy !== null && !ALERT_GROUP_FIELDS.includes(normalized.groupBy)) {
+    throw new ConfigError(`alerts.rules[${index}].groupBy must be one of ${ALERT_GROUP_FIELDS.join(', ')}`);
+  }
+  if (normalized.sources !== null) {
+    if (!Array.isArray(normalized.sources) || !normalized.sources.every(name => sourceNames.has(name))) {
+      throw new ConfigError(`alerts.rules[${index}].sources must be a list of configured source names`);
+    }
+  }
+  if (!Array.isArray(normalized.notify) || !normalized.notify.every(name => name === 'panel' || sinkNames.has(name))) {
+    throw new ConfigError(`alerts.rules[${index}].notify must list "panel" or names from alerts.sinks`);
+  }
+  return normalized;
+}
+
+function normalizeAlerts(rawAlerts, sourceNames) {
+  const alerts = { historySize: 1000, rules: [], sinks: {}, ...(rawAlerts || {}) };
+  if (!Number.isInteger(alerts.historySize) || alerts.historySize <= 0) {
+    throw new ConfigError('alerts.historySize must be a positive integer');
+  }
+  if (!alerts.sinks || typeof alerts.sinks !== 'object' || Array.isArray(alerts.sinks)) {
+    throw new ConfigError('alerts.sinks must be an object of named sinks');
+  }
+  if (!Array.isArray(alerts.rules)) {
+    throw new ConfigError('alerts.rules must be a list');
+  }
+  
+  const sinks = new Map(Object.entries(alerts.sinks).map(([name, sink]) => [name, normalizeAlertSink(sink, name)]));
+  const rules = alerts.rules.map((rule, index) => normalizeAlertRule(rule, index, sourceNames, sinks));
+  const names = new Set();
+  for (const rule of rules) {
+    if (names.has(rule.name)) {
+      throw new ConfigError(`Duplicate alert rule "${rule.name}"`);
+    }
+    names.add(rule.name);
+  }
+  return { historySize: alerts.historySize, rules, sinks };
+}
+
+// Access rules list the source names and vhost globs a user may see; an omitted list
+// does not restrict
+function normalizeAccessRule(rule, user, sourceNames) {
+  if (!rule || typeof rule !== 'object') {
+    throw new ConfigError(`auth.acl["${user}"] must be an object`);
+  }
+  
+  for (const key of ['sources', 'vhosts']) {
+    if (rule[key] !== undefined && (!Array.isArray(rule[key]) || !rule[key].every(value => typeof value === 'string'))) {
+      throw new ConfigError(`auth.acl["${user}"].${key} must be a list of strings`);
+    }
+  }
+  for (const name of rule.sources || []) {
+    if (!sourceNames.has(name)) {
+      throw new ConfigError(`auth.acl["${user}"].sources names unknown source "${name}"`);
+    }
+  }
+  
+  return { sources: rule.sources || null, vhosts: rule.vhosts || null };
+}
+
+// htpasswd lines are user:hash; bcrypt ($2y$, the default of htpasswd -B) is not supported
+const SUPPORTED_PASSWORD_HASH = /^(\$apr1\$|\{SHA\}|\$scrypt\$)/;
+
+function parseHtpasswd(text) {
+  const entries = [];
+  for (const line of text.split('\n')) {
+    const separator = line.indexOf(':');
+    if (!line.trim() || line.startsWith('#') || separator <= 0) continue;
+    entries.push({ user: line.slice(0, separator), hash: line.slice(separator + 1).trim() });
+  }
+  return entries;
+}
+
+function normalizeAuth(rawAuth, configDir, sourceNames) {
+  const auth = { ...DEFAULT_AUTH_OPTIONS, ...(rawAuth || {}) };
+  if (typeof auth.enabled !== 'boolean') {
+    throw new ConfigError('auth.enabled must be true or false');
+  }
+  
+  if (!Array.isArray(auth.tokens)) {
+    throw new ConfigError('auth.tokens must be a list');
+  }
+  auth.tokens.forEach((token, index) => {
+    if (!token || typeof token.user !== 'string' || !token.user || !/^[0-9a-f]{64}$/i.test(token.sha256 || '')) {
+      throw new ConfigError(`auth.tokens[${index}] needs a user and the hex sha256 of the token`);
+    }
+  });
+  
+  if (auth.htpasswd !== null) {
+    if (typeof auth.htpasswd !== 'string' || !auth.htpasswd.trim()) {
+      throw new ConfigError('auth.htpasswd must be a file path');
+    }
+    auth.htpasswd = path.resolve(configDir, auth.htpasswd);
+    
+    // A file that is missing now may appear later, so only what is there is checked
+    let text = null;
+    try {
+      text = fs.readFileSync(auth.htpasswd, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new ConfigError(`auth.htpasswd cannot be read: ${error.message}`);
+      }
+    }
+    for (const { user, hash } of text === null ? [] : parseHtpasswd(text)) {
+      if (!SUPPORTED_PASSWORD_HASH.test(hash)) {
+        throw new ConfigError(`auth.htpasswd: the password of "${user}" uses an unsupported hash${hash.startsWith('$2') ? ' (bcrypt)' : ''}, create it with htpasswd -m`);
+      }
+    }
+  }
+  if (auth.sessionSecret !== null && (typeof auth.sessionSecret !== 'string' || auth.sessionSecret.length < 16)) {
+    throw new ConfigError('auth.sessionSecret must be a string of at least 16 characters');
+  }
+  if (typeof auth.sessionTtlHours !== 'number' || !(auth.sessionTtlHours > 0)) {
+    throw new ConfigError('auth.sessionTtlHours must be a positive number');
+  }
+  
+  if (auth.acl !== null) {
+    if (typeof auth.acl !== 'object' || Array.isArray(auth.acl)) {
+      throw new ConfigError('auth.acl must map user names to access rules');
+    }
+    auth.acl = Object.fromEntries(Object.entries(auth.acl).map(([user, rule]) => [user, normalizeAccessRule(rule, user, sourceNames)]));
+  }
+  
+  if (auth.enabled && auth.tokens.length === 0 && !auth.htpasswd) {
+    throw new ConfigError('auth is enabled but neither auth.tokens nor auth.htpasswd is configured');
+  }
+  return auth;
+}
+
+function loadConfig(configPath = CONFIG_PATH) {
+  let raw = {};
+  
+  if (fs.existsSync(configPath)) {
+    try {
+      raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+      throw new ConfigError(`Failed to parse ${configPath}: ${error.message}`);
+    }
+  }
+  
+  const rawSources = raw.sources === undefined ? DEFAULT_SOURCES : raw.sources;
+  if (!Array.isArray(rawSources)) {
+    throw new ConfigError('sources must be a list');
+  }
+  
+  const sources = rawSources.map(normalizeSource);
+  const names = new Set();
+  for (const source of sources) {
+    if (names.has(source.name)) {
+      throw new ConfigError(`Duplicate source name "${source.name}"`);
+    }
+    names.add(source.name);
+  }
+  
+  if (!sources.some(source => source.enabled)) {
+    throw new ConfigError('At least one source must be enabled');
+  }
+  
+  const tail = { ...DEFAULT_TAIL_OPTIONS, ...(raw.tail || {}) };
+  for (const [key, value] of Object.entries(tail)) {
+    // Stall detection alone can be turned off with 0
+    if (key === 'stallTimeoutMs' && value === 0) continue;
+    if (!Number.isInteger(value) || value <= 0) {
+      throw new ConfigError(`tail.${key} must be a positive integer`);
+    }
+  }
+  
+  const search = { ...DEFAULT_SEARCH_OPTIONS, ...(raw.search || {}) };
+  for (const [key, value] of Object.entries(search)) {
+    if (!Number.isInteger(value) || value <= 0) {
+      throw new ConfigError(`search.${key} must be a positive integer`);
+    }
+  }
+  
+  const store = { ...DEFAULT_STORE_OPTIONS, ...(raw.store || {}) };
+  if (typeof store.enabled !== 'boolean') {
+    throw new ConfigError('store.enabled must be true or false');
+  }
+  if (typeof store.dir !== 'string' || !store.dir.trim()) {
+    throw new ConfigError('store.dir must be a directory path');
+  }
+  store.dir = path.resolve(path.dirname(configPath), store.dir);
+  for (const key of ['segmentBytes', 'segmentMaxAgeMinutes', 'maxBytes', 'maxAgeHours', 'indexInterval']) {
+    if (typeof store[key] !== 'number' || !(store[key] > 0)) {
+      throw new ConfigError(`store.${key} must be a positive number`);
+    }
+  }
+  
+  const backpressure = { ...DEFAULT_BACKPRESSURE_OPTIONS, ...(raw.backpressure || {}) };
+  if (!BACKPRESSURE_POLICIES.includes(backpressure.policy)) {
+    throw new ConfigError(`backpressure.policy must be one of ${BACKPRESSURE_POLICIES.join(', ')}`);
+  }
+  for (const key of ['maxQueueBytes', 'maxPendingLines', 'sampleEvery', 'disconnectAfterMs']) {
+    if (!Number.isInteger(backpressure[key]) || backpressure[key] <= 0) {
+      throw new ConfigError(`backpressure.${key} must be a positive integer`);
+    }
+  }
+  
+  const auth = normalizeAuth(raw.auth, path.dirname(configPath), names);
+  const redaction = normalizeRedaction(raw.redaction, sources);
+  const alerts = normalizeAlerts(raw.alerts, names);
+  
+  return {
+    path: configPath,
+    sources,
+    tail,
+    search,
+    store,
+    backpressure,
+    auth,
+    redaction,
+    alerts
+  };
+}
+
+// Convert a single glob pattern into an anchored regular expression
+function globToRegExp(pattern) {
+  let regex = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // "**/" matches zero or more directories, a trailing "**" matches anything
+        if (pattern[i + 2] === '/') {
+          regex += '(?:.*/)?';
+          i += 2;
+        } else {
+          regex += '.*';
+          i++;
+        }
+      } else {
+        regex += '[^/]*';
+      }
+    } else if (char === '?') {
+      regex += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 2);
+      if (end === -1) {
+        regex += '\\[';
+      } else {
+        let charClass = pattern.slice(i + 1, end).replace(/\\/g, '\\\\');
+        if (charClass[0] === '!') {
+          charClass = '^' + charClass.slice(1);
+        }
+        regex += `[${charClass}]`;
+        i = end;
+      }
+    } else {
+      regex += char.replace(/[.+^${}()|\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${regex}$`);
+}
+
+function hasGlobChars(pattern) {
+  return /[*?[]/.test(pattern);
+}
+
+async function readDirSafe(dir) {
+  try {
+    return await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    return [];
+  }
+}
+
+async function pathExists(filePath) {
+  try {
+    await fs.promises.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Expand a glob into the existing paths it matches, walking one segment at a time
+// so that only directories on the pattern's path are ever listed
+async function expandGlob(pattern) {
+  const segments = path.resolve(pattern).split('/').filter(Boolean);
+  const results = new Set();
+  
+  const walk = async (current, index) => {
+    if (index === segments.length) {
+      results.add(current);
+      return;
+    }
+    
+    const segment = segments[index];
+    if (segment === '**') {
+      await walk(current, index + 1);
+      for (const entry of await readDirSafe(current)) {
+        if (entry.isDirectory()) {
+          await walk(path.join(current, entry.name), index);
+        }
+      }
+    } else if (hasGlobChars(segment)) {
+      const matcher = globToRegExp(segment);
+      for (const entry of await readDirSafe(current)) {
+        if (matcher.test(entry.name)) {
+          await walk(path.join(current, entry.name), index + 1);
+        }
+      }
+    } else {
+      const next = path.join(current, segment);
+      if (await pathExists(next)) {
+        await walk(next, index + 1);
+      }
+    }
+  };
+  
+  await walk('/', 0);
+  return [...results];
+}
+
+// Rotated files as logrotate leaves them: access.log.1, access.log.2.gz, access.log-20240101.gz
+const ROTATED_FILE_PATTERN = /^(.+?)(?:(?:[.-]\d+)?\.gz|\.\d+)$/;
+
+// List every file of a source: globs matching directories include their files recursively,
+// excludes match the file name (or the full path when they contain a slash), like find -name.
+// Rotated files are left out unless a path names them exactly, as their lines were read
+// under the live name already. With archives, only the rotated files are listed instead,
+// including those next to a live file the globs name directly, matched against the excludes
+// under the name of the file they were rotated from (so *.gz keeps them out of tailing only)
+async function discoverSourceFiles(source, { archives = false } = {}) {
+  const excludeMatchers = source.exclude.map(pattern => ({
+    matcher: globToRegExp(pattern),
+    fullPath: pattern.includes('/')
+  }));
+  const isExcluded = (filePath) => excludeMatchers.some(({ matcher, fullPath }) =>
+    matcher.test(fullPath ? filePath : path.basename(filePath))
+  );
+  const isWanted = (filePath, named) => {
+    if (!archives) return !isExcluded(filePath) && (named || !ROTATED_FILE_PATTERN.test(path.basename(filePath)));
+    const rotated = ROTATED_FILE_PATTERN.exec(path.basename(filePath));
+    return rotated !== null && !isExcluded(path.join(path.dirname(filePath), rotated[1]));
+  };
+  
+  const files = new Set();
+  const collect = async (filePath, named) => {
+    let stat;
+    try {
+      stat = await fs.promises.stat(filePath);
+    } catch (error) {
+      return;
+    }
+    
+    if (stat.isDirectory()) {
+      for (const entry of await readDirSafe(filePath)) {
+        await collect(path.join(filePath, entry.name), false);
+      }
+    } else if (stat.isFile() && isWanted(filePath, named)) {
+      files.add(filePath);
+    } else if (stat.isFile() && archives) {
+      for (const entry of await readDirSafe(path.dirname(filePath))) {
+        const rotated = ROTATED_FILE_PATTERN.exec(entry.name);
+        if (entry.isFile() && rotated && rotated[1] === path.basename(filePath) && !isExcluded(filePath)) {
+          files.add(path.join(path.dirname(filePath), entry.name));
+        }
+      }
+    }
+  };
+  
+  for (const pattern of source.paths) {
+    for (const filePath of await expandGlob(pattern)) {
+      await collect(filePath, !hasGlobChars(pattern));
+    }
+  }
+  return [...files].sort();
+}
+
+// The vhost is taken from the source's vhostPattern if configured, otherwise from the
+// path segment matched by the first wildcard of the source glob (/mnt/vhosts/*/logs/)
+function extractVhost(source, filePath) {
+  if (source.vhostPattern) {
+    const match = source.vhostPattern.exec(filePath);
+    return match ? (match.groups && match.groups.vhost) || match[1] || null : null;
+  }
+  
+  const fileSegments = filePath.split('/').filter(Boolean);
+  for (const pattern of source.paths) {
+    const segments = path.resolve(pattern).split('/').filter(Boolean);
+    const wildcardIndex = segments.findIndex(hasGlobChars);
+    if (wildcardIndex === -1 || segments[wildcardIndex] === '**' || wildcardIndex >= fileSegments.length - 1) {
+      continue;
+    }
+    
+    const prefixMatches = segments.slice(0, wildcardIndex + 1).every((segment, index) =>
+      globToRegExp(segment).test(fileSegments[index])
+    );
+    if (prefixMatches) {
+      return fileSegments[wildcardIndex];
+    }
+  }
+  return null;
+}
+
+function detectLogKind(filePath) {
+  const name = path.basename(filePath).toLowerCase();
+  if (name.includes('error')) return 'error';
+  if (name.includes('access')) return 'access';
+  return 'other';
+}
+
+// Source metadata shared by every line read from one file
+function describeLogFile(source, filePath) {
+  return Object.freeze({
+    name: source.name,
+    file: filePath,
+    vhost: extractVhost(source, filePath),
+    kind: source.kind || detectLogKind(filePath)
+  });
+}
+
+// Local time stamp in the same format moreutils' ts '[%Y-%m-%d %H:%M:%S]' produced
+function formatLineTimestamp(date = new Date()) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `[${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}]`;
+}
+
+const READ_CHUNK_SIZE = 64 * 1024;
+// Leading bytes kept of every followed file. Copytruncate shows as a change in them even
+// when the file has grown past the old offset again by the next poll
+const HEAD_FINGERPRINT_BYTES = 256;
+
+// The first bytes of a file, up to HEAD_FINGERPRINT_BYTES
+async function readFileHead(handle, size) {
+  const buffer = Buffer.alloc(Math.min(size, HEAD_FINGERPRINT_BYTES));
+  const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+  return buffer.subarray(0, bytesRead);
+}
+
+// Read the last `count` complete lines before `end`, scanning backwards in chunks
+async function readLastLines(handle, end, count) {
+  const chunks = [];
+  let position = end;
+  let newlines = 0;
+  
+  while (position > 0 && newlines <= count) {
+    const size = Math.min(READ_CHUNK_SIZE, position);
+    position -= size;
+    const buffer = Buffer.alloc(size);
+    const { bytesRead } = await handle.read(buffer, 0, size, position);
+    const chunk = buffer.subarray(0, bytesRead);
+    for (const byte of chunk) {
+      if (byte === 0x0a) newlines++;
+    }
+    chunks.unshift(chunk);
+  }
+  
+  const lines = Buffer.concat(chunks).toString('utf8').split('\n');
+  return lines.map(line => line.replace(/\r$/, '')).filter(line => line.trim()).slice(-count);
+}
+
+const ARCHIVE_BATCH_LINES = 500; // Lines per batch read from a rotated file
+
+// Read a rotated file in batches of lines, decompressing .gz files on the fly. Each batch
+// carries the compressed bytes read so far, for progress against the file size
+async function* readArchiveLines(filePath) {
+  const input = fs.createReadStream(filePath);
+  const stream = filePath.endsWith('.gz') ? pipeline(input, zlib.createGunzip(), () => {}) : input;
+  const clean = (lines) => lines.map(line => line.replace(/\r$/, '')).filter(line => line.trim());
+  let partial = Buffer.alloc(0);
+  let lines = [];
+  
+  try {
+    for await (const chunk of stream) {
+      const data = partial.length > 0 ? Buffer.concat([partial, chunk]) : chunk;
+      let start = 0;
+      let newline;
+      while ((newline = data.indexOf(0x0a, start)) !== -1) {
+        lines.push(data.toString('utf8', start, newline));
+        start = newline + 1;
+      }
+      partial = data.subarray(start);
+      
+      if (lines.length >= ARCHIVE_BATCH_LINES) {
+        yield { lines: clean(lines), bytesRead: input.bytesRead };
+        lines = [];
+      }
+    }
+    if (partial.length > 0) {
+      lines.push(partial.toString('utf8'));
+    }
+    yield { lines: clean(lines), bytesRead: input.bytesRead };
+  } finally {
+    input.destroy();
+    stream.destroy();
+  }
+}
+
+// Counting semaphore: at most `limit` holders at once, the rest wait in arrival order
+class ScanLimiter {
+  constructor(limit) {
+    this.limit = limit;
+    this.running = 0;
+    this.waiting = [];
+  }
+
+  get queued() {
+    return this.waiting.length;
+  }
+
+  isFull() {
+    return this.running >= this.limit;
+  }
+
+  async acquire() {
+    if (this.running < this.limit) {
+      this.running++;
+      return;
+    }
+    await new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  // The slot passes straight to the next waiter, if any
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.running--;
+    }
+  }
+}
+
+// Follows all files of one source in-process: tracks inode and offset per file, follows
+// rename-based rotation and copytruncate, and picks up new files matching the source globs
+class FileTailer extends EventEmitter {
+  constructor(source, options) {
+    super();
+    this.source = source;
+    this.pollIntervalMs = options.pollIntervalMs;
+    this.scanIntervalMs = options.scanIntervalMs;
+    this.maxReadBytes = options.maxReadBytes;
+    this.files = new Map(); // path -> { handle, dev, ino, offset, partial, head }
+    this.retired = new Map(); // "dev:ino" of rotated-away files -> { offset, retiredAt }
+    this.pollTimer = null;
+    this.lastScan = 0;
+    this.running = false;
+    this.lastPollAt = Date.now(); // When the last poll finished, to notice hung file systems
+    this.lastDataAt = Date.now(); // When bytes last arrived from any file
+  }
+
+  // Open all currently matching files at their end and return their last lines. Files in
+  // the checkpoint of a previous run continue from the saved offset instead, so lines
+  // written while the server was down are read as new lines rather than skipped
+  async readHistory(checkpoint = {}) {
+    const history = [];
+    
+    for (const filePath of await discoverSourceFiles(this.source)) {
+      const file = await this.openFile(filePath, true, checkpoint[filePath]);
+      if (file && !file.resumed && this.source.historyLines > 0) {
+        const lines = await readLastLines(file.handle, file.offset, this.source.historyLines);
+        history.push(...this.createEntries(file, lines));
+      }
+    }
+    
+    this.lastScan = Date.now();
+    return history;
+  }
+
+  follow() {
+    if (this.running) return;
+    this.running = true;
+    this.schedulePoll();
+  }
+
+  async stop() {
+    this.running = false;
+    clearTimeout(this.pollTimer);
+    this.pollTimer = null;
+    
+    for (const [filePath, file] of this.files) {
+      await this.closeFile(filePath, file);
+    }
+  }
+
+  schedulePoll() {
+    this.pollTimer = setTimeout(() => {
+      // A failing poll is a fault of the whole tailer rather than of one file
+      this.poll()
+        .catch(error => this.emit('fault', error))
+        .finally(() => {
+          this.lastPollAt = Date.now();
+          if (this.running) this.schedulePoll();
+        });
+    }, this.pollIntervalMs);
+  }
+
+  // Known files are checked before the scan, so a file renamed by rotation is retired
+  // first and its new name, should the scan find it, continues where it was left
+  async poll() {
+    for (const [filePath, file] of this.files) {
+      if (!this.running) return;
+      await this.checkFile(filePath, file);
+    }
+    
+    if (this.running && Date.now() - this.lastScan >= this.scanIntervalMs) {
+      await this.scan();
+    }
+  }
+
+  // Pick up files created since the last scan; they are read from the beginning
+  async scan() {
+    this.lastScan = Date.now();
+    
+    for (const [key, retired] of this.retired) {
+      if (this.lastScan - retired.retiredAt > this.scanIntervalMs * 2) {
+        this.retired.delete(key);
+      }
+    }
+    
+    for (const filePath of await discoverSourceFiles(this.source)) {
+      if (this.files.has(filePath)) continue;
+      
+      const file = await this.openFile(filePath, false);
+      if (file) {
+        Logger.info('Following new log file', { source: this.source.name, file: filePath });
+      }
+    }
+  }
+
+  async openFile(filePath, fromEnd, saved = null) {
+    let handle;
+    try {
+      handle = await fs.promises.open(filePath, 'r');
+      const stat = await handle.stat();
+      // A rotated file showing up under its new name continues where it was left
+      const retiredKey = `${stat.dev}:${stat.ino}`;
+      const retired = this.retired.get(retiredKey);
+      this.retired.delete(retiredKey);
+      
+      const resumed = Boolean(saved && saved.dev === stat.dev && saved.ino === stat.ino && saved.offset <= stat.size);
+      
+      const file = {
+        handle,
+        dev: stat.dev,
+        ino: stat.ino,
+        offset: resumed ? saved.offset : fromEnd ? stat.size : (retired ? Math.min(retired.offset, stat.size) : 0),
+        partial: null,
+        head: await readFileHead(handle, stat.size),
+        resumed,
+        meta: describeLogFile(this.source, filePath)
+      };
+      this.files.set(filePath, file);
+      return file;
+    } catch (error) {
+      if (handle) await handle.close().catch(() => {});
+      if (error.code !== 'ENOENT') {
+        this.emit('error', Object.assign(error, { file: filePath }));
+      }
+      return null;
+    }
+  }
+
+  // Position of every followed file up to the last complete line read
+  getCheckpoint() {
+    const checkpoint = {};
+    for (const [filePath, file] of this.files) {
+      checkpoint[filePath] = {
+        dev: file.dev,
+        ino: file.ino,
+        offset: file.offset - (file.partial ? file.partial.length : 0)
+      };
+    }
+    return checkpoint;
+  }
+
+  async closeFile(filePath, file) {
+    this.files.delete(filePath);
+    await file.handle.close().catch(() => {});
+  }
+
+  async checkFile(filePath, file) {
+    let stat = null;
+    try {
+      stat = await fs.promises.stat(filePath);
+    } catch (error) {
+      // Deleted or renamed away without a replacement yet
+    }
+    
+    if (!stat || stat.ino !== file.ino || stat.dev !== file.dev) {
+      // Rotated by rename: drain what was written to the old file, then switch to the new one
+      await this.readNew(filePath, file, Infinity);
+      this.flushPartial(file);
+      await this.closeFile(filePath, file);
+      this.retired.set(`${file.dev}:${file.ino}`, { offset: file.offset, retiredAt: Date.now() });
+      
+      if (stat && stat.isFile()) {
+        Logger.info('Log file rotated, following new file', { source: this.source.name, file: filePath });
+        const next = await this.openFile(filePath, false);
+        if (next) await this.readNew(filePath, next);
+      }
+      return;
+    }
+    
+    // Truncated in place (copytruncate): shorter than what was read, or starting with other
+    // bytes than before. Either way the file is read again from the beginning
+    let truncated = stat.size < file.offset;
+    if (!truncated && stat.size !== file.offset) {
+      const head = await readFileHead(file.handle, stat.size);
+      truncated = head.length < file.head.length || !head.subarray(0, file.head.length).equals(file.head);
+      file.head = head;
+    }
+    if (truncated) {
+      Logger.info('Log file truncated, reading from start', { source: this.source.name, file: filePath });
+      this.flushPartial(file);
+      file.offset = 0;
+      file.head = await readFileHead(file.handle, stat.size);
+    }
+    
+    if (stat.size > file.offset) {
+      await this.readNew(filePath, file);
+    }
+  }
+
+  async readNew(filePath, file, limit = this.maxReadBytes) {
+    const chunks = file.partial ? [file.partial] : [];
+    let totalRead = 0;
+    
+    while (totalRead < limit) {
+      const size = Math.min(READ_CHUNK_SIZE, limit - totalRead);
+      const buffer = Buffer.alloc(size);
+      const { bytesRead } = await file.handle.read(buffer, 0, size, file.offset);
+      if (bytesRead === 0) break;
+      
+      file.offset += bytesRead;
+      totalRead += bytesRead;
+      chunks.push(buffer.subarray(0, bytesRead));
+    }
+    
+    if (totalRead === 0) return;
+    this.lastDataAt = Date.now();
+    
+    // Only complete lines are emitted, the remainder waits for its newline
+    const data = Buffer.concat(chunks);
+    const lastNewline = data.lastIndexOf(0x0a);
+    if (lastNewline === -1) {
+      file.partial = data;
+      return;
+    }
+    
+    file.partial = lastNewline < data.length - 1 ? Buffer.from(data.subarray(lastNewline + 1)) : null;
+    this.emitLines(file, data.subarray(0, lastNewline).toString('utf8').split('\n'), totalRead);
+  }
+
+  flushPartial(file) {
+    if (file.partial) {
+      this.emitLines(file, [file.partial.toString('utf8')], 0);
+      file.partial = null;
+    }
+  }
+
+  // Stamp lines with the time they were read and attach the file's source metadata
+  createEntries(file, lines) {
+    const now = new Date();
+    const stamp = formatLineTimestamp(now);
+    return lines.map(line => ({ time: now.getTime(), line: `${stamp} ${line}`, source: file.meta }));
+  }
+
+  emitLines(file, lines, bytes) {
+    const cleaned = lines.map(line => line.replace(/\r$/, '')).filter(line => line.trim());
+    if (cleaned.length > 0) {
+      this.emit('entries', this.createEntries(file, cleaned), bytes);
+    }
+  }
+}
+
+const WATCHDOG_INTERVAL_MS = 5000;
+const HEALTHY_AFTER_MS = 60000; // Running this long without a fault resets the restart backoff
+
+// Keeps the tailer of one source alive. A tailer whose poll fails or hangs is replaced,
+// with exponential backoff, by a new one continuing from the same file offsets; a source
+// delivering no bytes for its stall timeout is reported as stalled and reopened once.
+// Emits 'entries' like a tailer and 'state' with { state, previousState, reason }.
+// States: starting, running, stalled, down, stopped
+class SourceSupervisor extends EventEmitter {
+  constructor(source, options) {
+    super();
+    this.source = source;
+    this.options = options;
+    this.stallTimeoutMs = source.stallTimeoutMs === null ? options.stallTimeoutMs : source.stallTimeoutMs;
+    this.tailer = null;
+    this.active = false;
+    this.state = 'stopped';
+    this.stateSince = Date.now();
+    this.reason = null;
+    this.restarts = 0;
+    this.failures = 0; // Consecutive failures, for the backoff
+    this.retryAt = null;
+    this.restartTimer = null;
+    this.watchdog = null;
+    this.checkpoint = {}; // File offsets of the last retired tailer
+  }
+
+  createTailer() {
+    const tailer = new FileTailer(this.source, this.options);
+    
+    tailer.on('entries', (entries, bytes) => {
+      if (this.state === 'stalled') {
+        this.setState('running', 'Data is arriving again');
+      }
+      this.emit('entries', entries, bytes);
+    });
+    tailer.on('error', (error) => {
+      Logger.error('Log tailer error', {
+        source: this.source.name,
+        file: error.file,
+        error: error.message,
+        code: error.code
+      });
+    });
+    tailer.on('fault', error => this.handleFault(error));
+    return tailer;
+  }
+
+  // First start. A failure here is handled like any other fault, so startup goes on
+  // with the other sources and this one is retried
+  async readHistory(checkpoint = {}) {
+    this.active = true;
+    this.setState('starting', null);
+    this.watchdog = setInterval(() => this.checkHealth(), WATCHDOG_INTERVAL_MS);
+    
+    const tailer = this.createTailer();
+    this.tailer = tailer;
+    this.checkpoint = checkpoint;
+    try {
+      return await tailer.readHistory(checkpoint);
+    } catch (error) {
+      if (this.tailer === tailer) this.handleFault(error);
+      return [];
+    }
+  }
+
+  follow() {
+    if (this.state !== 'starting') return;
+    
+    this.tailer.follow();
+    this.setState('running', null);
+  }
+
+  checkHealth() {
+    const tailer = this.tailer;
+    if (!tailer || !tailer.running) return;
+    
+    const now = Date.now();
+    const hungAfterMs = Math.max(this.options.pollIntervalMs * 20, 30000);
+    if (now - tailer.lastPollAt > hungAfterMs) {
+      this.handleFault(new Error(`Polling has not finished for ${Math.round((now - tailer.lastPollAt) / 1000)}s`));
+      return;
+    }
+    
+    if (this.stallTimeoutMs > 0 && this.state === 'running' && now - tailer.lastDataAt > this.stallTimeoutMs) {
+      this.setState('stalled', `No new data for ${Math.round((now - tailer.lastDataAt) / 1000)}s`);
+      this.restart();
+    }
+  }
+
+  handleFault(error) {
+    if (!this.active || this.restartTimer) return;
+    
+    if (this.state === 'running' && Date.now() - this.stateSince > HEALTHY_AFTER_MS) {
+      this.failures = 0;
+    }
+    this.failures++;
+    const delay = Math.min(this.options.restartInitialDelayMs * 2 ** (this.failures - 1), this.options.restartMaxDelayMs);
+    
+    this.retireTailer();
+    this.retryAt = Date.now() + delay;
+    this.setState('down', error.message);
+    this.restartTimer = setTimeout(() => {
+      this.restartTimer = null;
+      this.retryAt = null;
+      this.restart();
+    }, delay);
+  }
+
+  // Stop listening to the tailer for good; a hung one may still settle later
+  retireTailer() {
+    const tailer = this.tailer;
+    if (!tailer) return;
+    
+    this.tailer = null;
+    this.checkpoint = tailer.getCheckpoint();
+    tailer.removeAllListeners();
+    tailer.on('error', () => {});
+    tailer.stop().catch(() => {});
+  }
+
+  async restart() {
+    this.retireTailer();
+    
+    const tailer = this.createTailer();
+    this.tailer = tailer;
+    this.restarts++;
+    try {
+      const history = await tailer.readHistory(this.checkpoint);
+      if (this.tailer !== tailer) return;
+      
+      if (history.length > 0) {
+        this.emit('entries', history, 0);
+      }
+      tailer.follow();
+      
+      // A stalled source only counts as recovered once data arrives
+      if (this.state === 'down') {
+        this.setState('running', `Reader restarted (attempt ${this.failures})`);
+      }
+    } catch (error) {
+      if (this.tailer === tailer) this.handleFault(error);
+    }
+  }
+
+  getCheckpoint() {
+    return this.tailer ? this.tailer.getCheckpoint() : this.checkpoint;
+  }
+
+  setState(state, reason) {
+    if (state === this.state && reason === this.reason) return;
+    
+    const previousState = this.state;
+    this.state = state;
+    this.reason = reason;
+    this.stateSince = Date.now();
+    this.emit('state', { state, previousState, reason });
+  }
+
+  getStatus() {
+    return {
+      name: this.source.name,
+      state: this.state,
+      since: new Date(this.stateSince).toISOString(),
+      reason: this.reason,
+      restarts: this.restarts,
+      retryInMs: this.retryAt === null ? null : Math.max(0, this.retryAt - Date.now()),
+      trackedFiles: this.tailer ? this.tailer.files.size : 0,
+      lastDataAt: this.tailer ? new Date(this.tailer.lastDataAt).toISOString() : null,
+      stallTimeoutMs: this.stallTimeoutMs
+    };
+  }
+
+  stop() {
+    this.active = false;
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+    clearInterval(this.watchdog);
+    this.watchdog = null;
+    
+    const tailer = this.tailer;
+    this.tailer = null;
+    if (tailer) {
+      this.checkpoint = tailer.getCheckpoint();
+      tailer.stop();
+    }
+    this.setState('stopped', null);
+  }
+}
+
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  Logger.error('Invalid configuration', { error: error.message, configPath: CONFIG_PATH });
+  process.exit(1);
+}
+
+// Structured parsing of access and error logs
+const MONTHS = { Jan: 0, Feb: 1, Mar: 2, Apr: 3, May: 4, Jun: 5, Jul: 6, Aug: 7, Sep: 8, Oct: 9, Nov: 10, Dec: 11 };
+
+// Optional "vhost:port " prefix (vhost_combined), then %h %l %u %t "%r" %>s %b,
+// then optionally "%{Referer}i" "%{User-agent}i" and anything appended after that
+const ACCESS_LOG_PATTERN = /^(?:(\S+:\d+) )?(\S+) (\S+) (\S+) \[([^\]]+)\] "((?:[^"\\]|\\.)*)" (\d{3}) (\d+|-)(?: "((?:[^"\\]|\\.)*)" "((?:[^"\\]|\\.)*)")?(.*)$/;
+// [Wed Oct 11 14:32:52 2000] [error] ... (2.2) or [Fri Sep 09 10:42:29.902022 2011] [core:error] [pid 1:tid 2] ... (2.4)
+const APACHE_ERROR_PATTERN = /^\[(\w{3} \w{3} \d{1,2} \d{2}:\d{2}:\d{2}(?:\.\d+)? \d{4})\] \[(?:([\w-]+):)?(\w+)\](?: \[pid (\d+)(?::tid (\d+))?\])?(?: \[client ([^\]]+)\])?(?: (\w+\d+):)? ?(.*)$/;
+// 2011/06/10 13:30:10 [error] 23263#0: *1 message, client: ..., server: ..., request: "GET / HTTP/1.1", host: "..."
+const NGINX_ERROR_PATTERN = /^(\d{4}\/\d{2}\/\d{2} \d{2}:\d{2}:\d{2}) \[(\w+)\] (\d+)#(\d+): (?:\*(\d+) )?(.*)$/;
+const LINE_STAMP_PATTERN = /^\[\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}\] /;
+
+function toIsoString(date) {
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// 10/Oct/2000:13:55:36 -0700
+function parseCommonLogTime(value) {
+  const match = /^(\d{2})\/(\w{3})\/(\d{4}):(\d{2}):(\d{2}):(\d{2}) ([+-])(\d{2})(\d{2})$/.exec(value);
+  if (!match || !(match[2] in MONTHS)) return null;
+  
+  const [, day, month, year, hours, minutes, seconds, sign, offsetHours, offsetMinutes] = match;
+  const offset = (sign === '-' ? -1 : 1) * (Number(offsetHours) * 60 + Number(offsetMinutes));
+  const utc = Date.UTC(Number(year), MONTHS[month], Number(day), Number(hours), Number(minutes), Number(seconds));
+  return toIsoString(new Date(utc - offset * 60000));
+}
+
+// Error log times carry no zone, they are written in the server's local time
+function parseApacheErrorTime(value) {
+  const match = /^\w{3} (\w{3}) (\d{1,2}) (\d{2}):(\d{2}):(\d{2})(?:\.(\d+))? (\d{4})$/.exec(value);
+  if (!match || !(match[1] in MONTHS)) return null;
+  
+  const [, month, day, hours, minutes, seconds, fraction, year] = match;
+  const milliseconds = fraction ? Number(fraction.padEnd(3, '0').slice(0, 3)) : 0;
+  return toIsoString(new Date(Number(year), MONTHS[month], Number(day), Number(hours), Number(minutes), Number(seconds), milliseconds));
+}
+
+function parseNginxErrorTime(value) {
+  const [date, time] = value.split(' ');
+  const [year, month, day] = date.split('/').map(Number);
+  const [hours, minutes, seconds] = time.split(':').map(Number);
+  return toIsoString(new Date(year, month - 1, day, hours, minutes, seconds));
+}
+
+function unescapeLogString(value) {
+  return value === undefined || value === '-' ? null : value.replace(/\\(.)/g, '$1');
+}
+
+// A trailing response time: "rt=0.123" style keys or a bare number after the user agent,
+// in the unit the source's log format writes it
+function parseResponseTime(rest, unit) {
+  const match = /(?:^|\s)(?:(?:rt|request_time|upstream_response_time)=)?(\d+(?:\.\d+)?)(?:\s|$)/.exec(rest);
+  if (!match) return null;
+  
+  const value = Number(match[1]);
+  if (unit === 's') return Math.round(value * 1000 * 1000) / 1000;
+  return unit === 'us' ? value / 1000 : value;
+}
+
+function parseRequestLine(request) {
+  const match = /^([A-Z]+) (\S+)(?: (HTTP\/[\d.]+))?$/.exec(request);
+  return match ? { method: match[1], path: match[2], protocol: match[3] || null } : { method: null, path: null, protocol: null };
+}
+
+function parseAccessLog(raw, responseTimeUnit) {
+  const match = ACCESS_LOG_PATTERN.exec(raw);
+  if (!match) return null;
+  
+  const [, serverName, client, , user, time, request, status, bytes, referrer, userAgent, rest] = match;
+  const statusCode = Number(status);
+  return {
+    format: userAgent === undefined ? 'common' : 'combined',
+    timestamp: parseCommonLogTime(time),
+    ...parseRequestLine(unescapeLogString(request) || ''),
+    status: statusCode,
+    bytes: bytes === '-' ? 0 : Number(bytes),
+    referrer: unescapeLogString(referrer),
+    userAgent: unescapeLogString(userAgent),
+    // Any number could trail a custom format, so only one the source declares is read
+    responseTimeMs: responseTimeUnit ? (rest ? parseResponseTime(rest, responseTimeUnit) : null) : undefined,
+    user: user === '-' ? null : user,
+    client,
+    serverName: serverName || null,
+    severity: statusCode >= 500 ? 'error' : statusCode >= 400 ? 'warning' : 'info'
+  };
+}
+
+function severityFromLevel(level) {
+  if (/^(emerg|alert|crit|error)$/.test(level)) return 'error';
+  if (/^warn/.test(level)) return 'warning';
+  return 'info';
+}
+
+function parseApacheErrorLog(raw) {
+  const match = APACHE_ERROR_PATTERN.exec(raw);
+  if (!match) return null;
+  
+  const [, time, module, level, pid, tid, client, errorCode, message] = match;
+  return {
+    format: 'apache-error',
+    timestamp: parseApacheErrorTime(time),
+    level: level.toLowerCase(),
+    module: module || null,
+    pid: pid ? Number(pid) : null,
+    tid: tid ? Number(tid) : null,
+    client: client || null,
+    errorCode: errorCode || null,
+    message,
+    severity: severityFromLevel(level.toLowerCase())
+  };
+}
+
+function parseNginxErrorLog(raw) {
+  const match = NGINX_ERROR_PATTERN.exec(raw);
+  if (!match) return null;
+  
+  const [, time, level, pid, tid, connection, message] = match;
+  const context = {};
+  // Trailing ", key: value" pairs nginx appends to the message
+  for (const pair of message.matchAll(/, (client|server|request|upstream|host|referrer): ("(?:[^"\\]|\\.)*"|[^,]*)/g)) {
+    context[pair[1]] = pair[2].startsWith('"') ? unescapeLogString(pair[2].slice(1, -1)) : pair[2];
+  }
+  const request = context.request ? parseRequestLine(context.request) : { method: null, path: null, protocol: null };
+  
+  return {
+    format: 'nginx-error',
+    timestamp: parseNginxErrorTime(time),
+    level: level.toLowerCase(),
+    pid: Number(pid),
+    tid: Number(tid),
+    connection: connection ? Number(connection) : null,
+    message,
+    client: context.client || null,
+    server: context.server || null,
+    host: context.host || null,
+    upstream: context.upstream || null,
+    referrer: context.referrer || null,
+    ...request,
+    severity: severityFromLevel(level.toLowerCase())
+  };
+}
+
+// Parse a stamped log line; the source kind decides which formats are tried first.
+// Returns null when the line matches none of the known formats
+function parseLogLine(line, kind, responseTimeUnit = null) {
+  const raw = line.replace(LINE_STAMP_PATTERN, '');
+  const parsers = kind === 'error'
+    ? [parseApacheErrorLog, parseNginxErrorLog, parseAccessLog]
+    : [parseAccessLog, parseApacheErrorLog, parseNginxErrorLog];
+  
+  for (const parser of parsers) {
+    const fields = parser(raw, responseTimeUnit);
+    if (fields) return fields;
+  }
+  return null;
+}
+
+// Search query language: terms combined with AND / OR / NOT and parentheses.
+// Bare words and "quoted phrases" match the line case-insensitively, field terms look at
+// source metadata and parsed fields: vhost:shop, status>=500, path:"/a b", method=GET, ua:*bot*
+class QueryParseError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = 'QueryParseError';
+    this.position = position;
+  }
+}
+
+const QUERY_FIELDS = [
+  'line', 'source', 'vhost', 'file', 'kind',
+  'format', 'timestamp', 'severity', 'method', 'path', 'protocol', 'status', 'bytes', 'referrer',
+  'userAgent', 'responseTimeMs', 'user', 'serverName', 'level', 'module', 'pid', 'tid', 'client',
+  'errorCode', 'message', 'connection', 'server', 'host', 'upstream'
+];
+const QUERY_FIELD_ALIASES = { referer: 'referrer', ua: 'userAgent', rt: 'responseTimeMs', sourcename: 'source' };
+const QUERY_FIELD_LOOKUP = new Map([
+  ...QUERY_FIELDS.map(field => [field.toLowerCase(), field]),
+  ...Object.entries(QUERY_FIELD_ALIASES)
+]);
+const QUERY_TERM_PATTERN = /^([A-Za-z_][\w]*)(>=|<=|!=|:|=|>|<)([\s\S]*)$/;
+
+function getQueryFieldValue(entry, field) {
+  switch (field) {
+    case 'line': return entry.line;
+    case 'source': return entry.source.name;
+    case 'vhost': return entry.source.vhost;
+    case 'file': return entry.source.file;
+    case 'kind': return entry.source.kind;
+    default: return entry.fields ? entry.fields[field] : undefined;
+  }
+}
+
+function tokenizeQuery(query) {
+  const tokens = [];
+  let i = 0;
+  
+  const readQuoted = () => {
+    const start = i;
+    let value = '';
+    i++; // opening quote
+    while (i < query.length && query[i] !== '"') {
+      if (query[i] === '\\' && i + 1 < query.length) i++;
+      value += query[i++];
+    }
+    if (i >= query.length) {
+      throw new QueryParseError('Unterminated quoted phrase', start);
+    }
+    i++; // closing quote
+    return value;
+  };
+  
+  while (i < query.length) {
+    const char = query[i];
+    
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, position: i++ });
+    } else if (char === '"') {
+      const position = i;
+      tokens.push({ type: 'term', value: readQuoted(), position });
+    } else {
+      const position = i;
+      while (i < query.length && !/[\s()"]/.test(query[i])) i++;
+      let word = query.slice(position, i);
+      
+      // field:"quoted value"
+      if (query[i] === '"' && QUERY_TERM_PATTERN.test(word) && QUERY_TERM_PATTERN.exec(word)[3] === '') {
+        word += readQuoted();
+        tokens.push({ type: 'term', value: word, position, fieldCandidate: true, quotedValue: true });
+      } else if (word === 'AND' || word === 'OR' || word === 'NOT') {
+        tokens.push({ type: word, position });
+      } else {
+        tokens.push({ type: 'term', value: word, position, fieldCandidate: true });
+      }
+    }
+  }
+  
+  return tokens;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Predicate for a plain text term honouring the case-sensitive and whole-word options
+function compileTextTerm(text, options = {}) {
+  if (options.wholeWord) {
+    const pattern = new RegExp(`(?<!\\w)${escapeRegExp(text)}(?!\\w)`, options.caseSensitive ? '' : 'i');
+    return (entry) => pattern.test(entry.line);
+  }
+  if (options.caseSensitive) {
+    return (entry) => entry.line.includes(text);
+  }
+  
+  const needle = text.toLowerCase();
+  return (entry) => entry.line.toLowerCase().includes(needle);
+}
+
+// Build a predicate for one term; unknown field names are searched for as plain text
+function compileQueryTerm(token, options) {
+  const termMatch = token.fieldCandidate ? QUERY_TERM_PATTERN.exec(token.value) : null;
+  const field = termMatch ? QUERY_FIELD_LOOKUP.get(termMatch[1].toLowerCase()) : null;
+  
+  if (field && termMatch[3] === '' && !token.quotedValue && /^[<>]/.test(termMatch[2])) {
+    throw new QueryParseError(`"${termMatch[1]}${termMatch[2]}" needs a numeric value`, token.position);
+  }
+  if (!field || (termMatch[3] === '' && !token.quotedValue)) {
+    return compileTextTerm(token.value, options);
+  }
+  
+  const [, , operator, rawValue] = termMatch;
+  const value = rawValue.toLowerCase();
+  
+  if (operator === '>' || operator === '>=' || operator === '<' || operator === '<=') {
+    const number = Number(rawValue);
+    if (rawValue === '' || Number.isNaN(number)) {
+      throw new QueryParseError(`"${termMatch[1]}${operator}" needs a numeric value`, token.position);
+    }
+    const compare = {
+      '>': (actual) => actual > number,
+      '>=': (actual) => actual >= number,
+      '<': (actual) => actual < number,
+      '<=': (actual) => actual <= number
+    }[operator];
+    return (entry) => {
+      const actual = getQueryFieldValue(entry, field);
+      return typeof actual === 'number' && compare(actual);
+    };
+  }
+  
+  const equals = (actual) => actual !== null && actual !== undefined && String(actual).toLowerCase() === value;
+  if (operator === '=') {
+    return (entry) => equals(getQueryFieldValue(entry, field));
+  }
+  if (operator === '!=') {
+    return (entry) => !equals(getQueryFieldValue(entry, field));
+  }
+  
+  // field:value - wildcard match with "*", exact match on numbers, substring match otherwise
+  let matchValue;
+  if (value.includes('*')) {
+    const pattern = new RegExp(`^${value.split('*').map(escapeRegExp).join('.*')}$`);
+    matchValue = (actual) => pattern.test(String(actual).toLowerCase());
+  } else {
+    matchValue = (actual) => typeof actual === 'number' ? String(actual) === value : String(actual).toLowerCase().includes(value);
+  }
+  return (entry) => {
+    const actual = getQueryFieldValue(entry, field);
+    return actual !== null && actual !== undefined && matchValue(actual);
+  };
+}
+
+// Recursive descent over: or := and (OR and)*, and := not ([AND] not)*, not := NOT not | primary,
+// primary := ( or ) | term. Adjacent terms are joined with an implicit AND
+function compileQuery(query, options = {}) {
+  const tokens = tokenizeQuery(query);
+  let index = 0;
+  
+  const peek = () => tokens[index];
+  const describe = (token) => token ? `"${token.value || token.type}"` : 'end of query';
+  
+  const parsePrimary = () => {
+    const token = tokens[index++];
+    if (!token) {
+      throw new QueryParseError('Unexpected end of query', query.length);
+    }
+    if (token.type === '(') {
+      const inner = parseOr();
+      const closing = tokens[index++];
+      if (!closing || closing.type !== ')') {
+        throw new QueryParseError(`Expected ")" but found ${describe(closing)}`, closing ? closing.position : query.length);
+      }
+      return inner;
+    }
+    if (token.type === 'term') {
+      return compileQueryTerm(token, options);
+    }
+    throw new QueryParseError(`Unexpected ${describe(token)}`, token.position);
+  };
+  
+  const parseNot = () => {
+    if (peek() && peek().type === 'NOT') {
+      index++;
+      const operand = parseNot();
+      return (entry) => !operand(entry);
+    }
+    return parsePrimary();
+  };
+  
+  const parseAnd = () => {
+    let left = parseNot();
+    while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+      if (peek().type === 'AND') index++;
+      const leftOperand = left;
+      const right = parseNot();
+      left = (entry) => leftOperand(entry) && right(entry);
+    }
+    return left;
+  };
+  
+  const parseOr = () => {
+    let left = parseAnd();
+    while (peek() && peek().type === 'OR') {
+      index++;
+      const leftOperand = left;
+      const right = parseAnd();
+      left = (entry) => leftOperand(entry) || right(entry);
+    }
+    return left;
+  };
+  
+  if (tokens.length === 0) {
+    return () => true;
+  }
+  
+  const matcher = parseOr();
+  if (index < tokens.length) {
+    throw new QueryParseError(`Unexpected ${describe(tokens[index])}`, tokens[index].position);
+  }
+  return matcher;
+}
+
+// WebSocket protocol. Clients that negotiate the PROTOCOL_NAME subprotocol get typed JSON
+// messages (hello, history-begin, gap, history-chunk, history-end, batch, skipped,
+// source-status, alert, timeseries, error, stats, ack); clients without it get the
+// original newline-joined plain-text frames
+const PROTOCOL_NAME = 'logstream.v1';
+const PROTOCOL_VERSION = 1;
+const HISTORY_CHUNK_SIZE = 500; // Entries per history-chunk message
+const LAG_CHECK_INTERVAL_MS = 250; // How often a backed up client is checked for having drained
+const ARCHIVE_PROGRESS_INTERVAL_MS = 500; // Least time between archive-progress messages
+const ARCHIVE_TIME_SLACK_MS = 5 * 60 * 1000; // Reading a file stops this far past until; lines are only roughly in order
+
+// Translate a protocol message into the plain-text frame legacy clients understand,
+// or null when they have no equivalent for it
+function toLegacyFrame(message) {
+  switch (message.type) {
+    case 'history-chunk':
+    case 'batch':
+      // Groups of context lines are separated like grep -C does
+      return message.entries.map(entry => entry.separator ? `--\n${entry.line}` : entry.line).join('\n');
+    case 'history-end':
+      // An empty frame used to signal an empty history
+      return message.count === 0 ? '' : null;
+    default:
+      return null;
+  }
+}
+
+// Regular expression search. User patterns run inside a vm context with a timeout so a
+// catastrophically backtracking pattern is interrupted instead of stalling the event loop
+class SearchPatternError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SearchPatternError';
+  }
+}
+
+const regexSandbox = vm.createContext({ pattern: null, lines: null });
+const REGEX_FILTER_SCRIPT = new vm.Script('lines.map(line => pattern.test(line))');
+
+function compileSearchRegex(source, options, maxPatternLength) {
+  if (source.length > maxPatternLength) {
+    throw new SearchPatternError(`Pattern is longer than ${maxPatternLength} characters`);
+  }
+  
+  const wrapped = options.wholeWord ? `(?<!\\w)(?:${source})(?!\\w)` : source;
+  try {
+    return new RegExp(wrapped, options.caseSensitive ? '' : 'i');
+  } catch (error) {
+    throw new SearchPatternError(error.message);
+  }
+}
+
+// Build the function filtering a batch of entries for a search, or null for no search.
+// Throws QueryParseError or SearchPatternError for bad input; regex filters throw
+// ERR_SCRIPT_EXECUTION_TIMEOUT when a batch exceeds the time budget
+function createSearchFilter(text, options, limits) {
+  if (!text) {
+    return null;
+  }
+  
+  if (options.mode === 'regex') {
+    const pattern = compileSearchRegex(text, options, limits.maxPatternLength);
+    return (entries) => {
+      const matches = testLinesWithBudget(pattern, entries.map(entry => entry.line), limits.regexTimeoutMs);
+      return entries.filter((entry, index) => matches[index]);
+    };
+  }
+  
+  const matcher = compileQuery(text, options);
+  return (entries) => entries.filter(matcher);
+}
+
+// Context lines around search matches, like grep -C: up to `before` preceding and `after`
+// following lines of the same source file. The state carries the recent lines and pending
+// after-context of every file from one call to the next, so live batches continue where
+// the history ended. Context lines are copies marked context: true; separator: true marks a
+// line that does not directly follow the previous line sent from its file
+const MAX_CONTEXT_REQUEST_LINES = 200; // Lines around one entry from /api/context
+
+function createContextState() {
+  return { files: new Map() };
+}
+
+function clampContextLines(value, max) {
+  const lines = Number(value);
+  return Number.isInteger(lines) && lines > 0 ? Math.min(lines, max) : 0;
+}
+
+// entries are all lines the matches were filtered from, in order. Matches before startSeq
+// only serve as context for later ones; entries without a sequence id (archived lines)
+// always count
+function addSearchContext(entries, matches, context, state, startSeq = 0) {
+  const matched = new Set(matches);
+  const result = [];
+  
+  for (const entry of entries) {
+    const key = `${entry.source.name}\0${entry.source.file}`;
+    let file = state.files.get(key);
+    if (!file) {
+      file = { lastSeen: null, lastSent: null, recent: [], afterRemaining: 0 };
+      state.files.set(key, file);
+    }
+    const item = { entry, previous: file.lastSeen };
+    const isCounted = entry.seq === undefined || entry.seq >= startSeq;
+    file.lastSeen = entry;
+    
+    const send = ({ entry: line, previous }, isContext) => {
+      const separator = previous !== null && file.lastSent !== previous;
+      result.push(isContext || separator
+        ? { ...line, ...(isContext && { context: true }), ...(separator && { separator: true }) }
+        : line);
+      file.lastSent = line;
+    };
+    
+    if (matched.has(entry) && isCounted) {
+      file.recent.forEach(recentItem => send(recentItem, true));
+      file.recent = [];
+      send(item, false);
+      file.afterRemaining = context.after;
+    } else if (file.afterRemaining > 0 && isCounted) {
+      send(item, true);
+      file.afterRemaining--;
+    } else if (context.before > 0) {
+      file.recent.push(item);
+      if (file.recent.length > context.before) {
+        file.recent.shift();
+      }
+    }
+  }
+  
+  return result;
+}
+
+// Test every line against the pattern, throwing ERR_SCRIPT_EXECUTION_TIMEOUT when the
+// whole batch takes longer than the time budget
+function testLinesWithBudget(pattern, lines, timeoutMs) {
+  regexSandbox.pattern = pattern;
+  regexSandbox.lines = lines;
+  try {
+    return REGEX_FILTER_SCRIPT.runInContext(regexSandbox, { timeout: timeoutMs });
+  } finally {
+    regexSandbox.pattern = null;
+    regexSandbox.lines = null;
+  }
+}
+
+// Alerts: rules from config.alerts evaluated against the live stream. Match counts are kept
+// per second within each rule's window, so a flood of matching lines costs no more memory
+// than a trickle. Alerts go to the rule's sinks when they fire and when they resolve, and
+// stay in a bounded in-memory history for the alerts API
+const ALERT_SWEEP_INTERVAL_MS = 1000; // How often firing alerts are checked for having resolved
+const ALERT_SAMPLE_LINES = 5; // Latest matching entries kept with an alert
+
+class AlertManager extends EventEmitter {
+  constructor(options) {
+    super();
+    this.historySize = options.historySize;
+    this.sinks = options.sinks;
+    this.rules = options.rules.map((rule, index) => {
+      let matcher;
+      try {
+        matcher = compileQuery(rule.query);
+      } catch (error) {
+        throw new ConfigError(`alerts.rules[${index}].query: ${error.message}`);
+      }
+      return { ...rule, matcher, groups: new Map() };
+    });
+    this.history = []; // Alerts, oldest first; resolving updates them in place
+    this.nextId = 1;
+    this.firedCounts = new Map(); // Per rule name, for metrics
+    this.sweepInterval = null;
+  }
+
+  start() {
+    if (this.rules.length > 0 && !this.sweepInterval) {
+      this.sweepInterval = setInterval(() => this.sweep(), ALERT_SWEEP_INTERVAL_MS);
+    }
+  }
+
+  stop() {
+    clearInterval(this.sweepInterval);
+    this.sweepInterval = null;
+  }
+
+  // Count the matches of processed live entries and fire what crossed its threshold
+  evaluate(entries) {
+    if (this.rules.length === 0) return;
+    
+    const now = Date.now();
+    const second = Math.floor(now / 1000);
+    for (const rule of this.rules) {
+      const touched = new Set();
+      for (const entry of entries) {
+        if (rule.sources && !rule.sources.includes(entry.source.name)) continue;
+        if (!rule.matcher(entry)) continue;
+        
+        const key = rule.groupBy === 'vhost' ? entry.source.vhost || '-' : rule.groupBy === 'source' ? entry.source.name : null;
+        let group = rule.groups.get(key);
+        if (!group) {
+          group = { key, buckets: [], count: 0, samples: [], alert: null, lastFiredAt: 0 };
+          rule.groups.set(key, group);
+        }
+        
+        const lastBucket = group.buckets[group.buckets.length - 1];
+        if (lastBucket && lastBucket.second === second) {
+          lastBucket.count++;
+        } else {
+          group.buckets.push({ second, count: 1 });
+        }
+        group.count++;
+        group.samples.push(entry);
+        if (group.samples.length > ALERT_SAMPLE_LINES) {
+          group.samples.shift();
+        }
+        touched.add(group);
+      }
+      
+      for (const group of touched) {
+        this.updateGroup(rule, group, now);
+      }
+    }
+  }
+
+  // Resolve alerts whose matches have left the window even when no lines arrive
+  sweep() {
+    const now = Date.now();
+    for (const rule of this.rules) {
+      for (const group of [...rule.groups.values()]) {
+        this.updateGroup(rule, group, now);
+      }
+    }
+  }
+
+  updateGroup(rule, group, now) {
+    const windowStart = Math.floor(now / 1000) - rule.windowSeconds;
+    while (group.buckets.length > 0 && group.buckets[0].second <= windowStart) {
+      group.count -= group.buckets.shift().count;
+    }
+    
+    if (group.alert) {
+      group.alert.peakCount = Math.max(group.alert.peakCount, group.count);
+      if (group.count < rule.threshold) {
+        this.resolve(rule, group, now);
+      }
+    } else if (group.count >= rule.threshold && now - group.lastFiredAt >= rule.cooldownSeconds * 1000) {
+      this.fire(rule, group, now);
+    }
+    
+    // Idle groups are forgotten once their cooldown is over
+    if (!group.alert && group.count === 0 && now - group.lastFiredAt >= rule.cooldownSeconds * 1000) {
+      rule.groups.delete(group.key);
+    }
+  }
+
+  fire(rule, group, now) {
+    const alert = {
+      id: this.nextId++,
+      rule: rule.name,
+      query: rule.query,
+      groupBy: rule.groupBy,
+      group: group.key,
+      state: 'firing',
+      threshold: rule.threshold,
+      windowSeconds: rule.windowSeconds,
+      count: group.count,
+      peakCount: group.count,
+      firedAt: new Date(now).toISOString(),
+      resolvedAt: null,
+      samples: group.samples.slice()
+    };
+    group.alert = alert;
+    group.lastFiredAt = now;
+    this.firedCounts.set(rule.name, (this.firedCounts.get(rule.name) || 0) + 1);
+    
+    this.history.push(alert);
+    if (this.history.length > this.historySize) {
+      this.history.splice(0, this.history.length - this.historySize);
+    }
+    
+    Logger.warn('Alert firing', { id: alert.id, rule: rule.name, group: group.key, count: group.count, threshold: rule.threshold });
+    this.notify(rule, 'firing', alert);
+  }
+
+  resolve(rule, group, now) {
+    const alert = group.alert;
+    group.alert = null;
+    alert.state = 'resolved';
+    alert.resolvedAt = new Date(now).toISOString();
+    
+    Logger.info('Alert resolved', { id: alert.id, rule: rule.name, group: group.key, peakCount: alert.peakCount });
+    this.notify(rule, 'resolved', alert);
+  }
+
+  // The panel sink is an 'alert' event for the broadcaster; the others are sent from here.
+  // Failing sinks are logged and otherwise ignored
+  notify(rule, event, alert) {
+    const payload = { event, alert };
+    for (const name of rule.notify) {
+      if (name === 'panel') {
+        this.emit('alert', event, alert);
+        continue;
+      }
+      
+      const sink = this.sinks.get(name);
+      const delivery = sink.type === 'webhook' ? this.sendWebhook(sink, payload) : this.runCommand(sink, payload);
+      delivery.catch((error) => {
+        Logger.error('Alert notification failed', { sink: name, rule: rule.name, alertId: alert.id, event, error: error.message });
+      });
+    }
+  }
+
+  async sendWebhook(sink, payload) {
+    const response = await fetch(sink.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...sink.headers },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(sink.timeoutMs)
+    });
+    if (!response.ok) {
+      throw new Error(`Webhook answered with status ${response.status}`);
+    }
+  }
+
+  // The payload goes to the command's stdin as JSON; the basics are in environment variables
+  runCommand(sink, payload) {
+    return new Promise((resolve, reject) => {
+      const child = execFile(sink.command[0], sink.command.slice(1), {
+        timeout: sink.timeoutMs,
+        env: {
+          ...process.env,
+          ALERT_EVENT: payload.event,
+          ALERT_ID: String(payload.alert.id),
+          ALERT_RULE: payload.alert.rule,
+          ALERT_GROUP: payload.alert.group || '',
+          ALERT_COUNT: String(payload.alert.count)
+        }
+      }, error => error ? reject(error) : resolve());
+      
+      child.stdin.on('error', () => {}); // Commands that ignore stdin may close it early
+      child.stdin.end(JSON.stringify(payload));
+    });
+  }
+
+  // Newest first, optionally only one state or rule, fired at or after since
+  getHistory({ state = null, rule = null, since = null, limit = 100 } = {}) {
+    const alerts = [];
+    for (let index = this.history.length - 1; index >= 0 && alerts.length < limit; index--) {
+      const alert = this.history[index];
+      if (state && alert.state !== state) continue;
+      if (rule && alert.rule !== rule) continue;
+      if (since !== null && Date.parse(alert.firedAt) < since) continue;
+      alerts.push(alert);
+    }
+    return alerts;
+  }
+
+  getFiringCounts() {
+    const counts = new Map(this.rules.map(rule => [rule.name, 0]));
+    for (const rule of this.rules) {
+      for (const group of rule.groups.values()) {
+        if (group.alert) counts.set(rule.name, counts.get(rule.name) + 1);
+      }
+    }
+    return counts;
+  }
+}
+
+// Users with an access rule only see alerts whose sample lines they may see
+function isAlertVisible(alert, access) {
+  return !access || alert.samples.every(entry => access.allows(entry));
+}
+
+// Rule queries can only be compiled now that the query language is defined
+let alertManager;
+try {
+  alertManager = new AlertManager(config.alerts);
+} catch (error) {
+  Logger.error('Invalid configuration', { error: error.message, configPath: CONFIG_PATH });
+  process.exit(1);
+}
+
+// Live rates: entry counts per second and per minute by severity, status class and vhost.
+// Inside a bucket the counts are kept per source and vhost, so each user's view only sums
+// what their access rule allows
+const TIMESERIES_RESOLUTIONS = {
+  second: { bucketMs: 1000, buckets: 300 },
+  minute: { bucketMs: 60 * 1000, buckets: 24 * 60 }
+};
+const SEVERITIES = ['error', 'warning', 'info', 'other'];
+
+// Parsed severity, else the same guess from the line the web UI makes for coloring
+function classifySeverity(entry) {
+  if (entry.fields && entry.fields.severity) {
+    return entry.fields.severity;
+  }
+  
+  const line = entry.line;
+  if (/\s500\s|fatal|[Ee]rror|error_log|ERROR|FATAL/.test(line)) {
+    return 'error';
+  } else if (/\s4\d\d\s|[Ww]arning|WARN|WARNING/.test(line)) {
+    return 'warning';
+  } else if (/\s2\d\d\s|[Ii]nfo|INFO|access_log/.test(line)) {
+    return 'info';
+  }
+  return 'other';
+}
+
+class RateAggregator {
+  constructor() {
+    // Per resolution, buckets { time, groups } oldest first, only those with entries
+    this.series = Object.fromEntries(Object.keys(TIMESERIES_RESOLUTIONS).map(resolution => [resolution, []]));
+  }
+
+  // Entry times never go backwards, so only the newest bucket can still grow
+  add(entries) {
+    for (const entry of entries) {
+      const severity = classifySeverity(entry);
+      const status = entry.fields && entry.fields.status ? `${Math.floor(entry.fields.status / 100)}xx` : null;
+      const key = `${entry.source.name}\u0000${entry.source.vhost || ''}`;
+      
+      for (const [resolution, { bucketMs }] of Object.entries(TIMESERIES_RESOLUTIONS)) {
+        const series = this.series[resolution];
+        const time = entry.time - entry.time % bucketMs;
+        let bucket = series[series.length - 1];
+        if (!bucket || bucket.time !== time) {
+          bucket = { time, groups: new Map() };
+          series.push(bucket);
+        }
+        
+        let group = bucket.groups.get(key);
+        if (!group) {
+          group = { source: { name: entry.source.name, vhost: entry.source.vhost }, total: 0, severity: {}, status: {} };
+          bucket.groups.set(key, group);
+        }
+        group.total++;
+        group.severity[severity] = (group.severity[severity] || 0) + 1;
+        if (status) {
+          group.status[status] = (group.status[status] || 0) + 1;
+        }
+      }
+    }
+    this.trim(Date.now());
+  }
+
+  trim(now) {
+    for (const [resolution, { bucketMs, buckets }] of Object.entries(TIMESERIES_RESOLUTIONS)) {
+      const series = this.series[resolution];
+      const oldest = now - now % bucketMs - (buckets - 1) * bucketMs;
+      while (series.length > 0 && series[0].time < oldest) {
+        series.shift();
+      }
+    }
+  }
+
+  // One bucket as a user sees it
+  project(time, groups, access) {
+    const bucket = { time, total: 0, severity: Object.fromEntries(SEVERITIES.map(severity => [severity, 0])), status: {}, vhosts: {} };
+    for (const group of groups.values()) {
+      if (access && !access.allows(group)) continue;
+      
+      bucket.total += group.total;
+      for (const [severity, count] of Object.entries(group.severity)) {
+        bucket.severity[severity] += count;
+      }
+      for (const [status, count] of Object.entries(group.status)) {
+        bucket.status[status] = (bucket.status[status] || 0) + count;
+      }
+      const vhost = group.source.vhost || group.source.name;
+      bucket.vhosts[vhost] = (bucket.vhosts[vhost] || 0) + group.total;
+    }
+    return bucket;
+  }
+
+  getGroups(resolution, time) {
+    const bucket = this.series[resolution].find(candidate => candidate.time === time);
+    return bucket ? bucket.groups : new Map();
+  }
+
+  // Every bucket of the window between since and until, empty ones included, oldest first
+  getBuckets(resolution, { since = null, until = null, access = null } = {}) {
+    const { bucketMs, buckets } = TIMESERIES_RESOLUTIONS[resolution];
+    const now = Date.now();
+    this.trim(now);
+    
+    const newest = now - now % bucketMs;
+    const first = Math.max(newest - (buckets - 1) * bucketMs, since === null ? -Infinity : since - since % bucketMs);
+    const last = Math.min(newest, until === null ? Infinity : until);
+    const stored = new Map(this.series[resolution].map(bucket => [bucket.time, bucket.groups]));
+    
+    const result = [];
+    for (let time = first; time <= last; time += bucketMs) {
+      result.push(this.project(time, stored.get(time) || new Map(), access));
+    }
+    return result;
+  }
+}
+
+// Persistent history: append-only NDJSON segment files named after their first sequence id,
+// each with a sidecar .idx file of sparse { seq, time, offset } points. append() assigns
+// every batch its file offset as it is called, in ingestion order, and a single queue then
+// writes one operation at a time, so seq and time only ever grow within the store. Reads
+// stop at what the queue has written so far
+const SEGMENT_NAME_PATTERN = /^segment-(\d+)\.ndjson$/;
+const STORE_READ_BATCH_SIZE = 500;
+// Segments are written at explicit offsets, which append mode would ignore
+const SEGMENT_WRITE_FLAGS = fs.constants.O_WRONLY | fs.constants.O_CREAT;
+
+function readNdjsonFileSync(filePath) {
+  let content;
+  try {
+    content = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  
+  const records = [];
+  for (const line of content.split('\n')) {
+    if (!line) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch (error) {
+      // A torn last line after a crash
+      break;
+    }
+  }
+  return records;
+}
+
+class SegmentStore {
+  constructor(options) {
+    this.options = options;
+    this.dir = options.dir;
+    this.segments = []; // Oldest first: { name, path, indexPath, firstSeq, lastSeq, firstTime, lastTime, size, writtenSize, index }
+    this.active = null; // { fd, indexFd, indexSize, segment }
+    this.streamId = null;
+    this.retentionTimer = null;
+    this.writes = []; // Queued writes { fd, data, position, segment } and closes { fd, close: true }
+    this.writing = null; // The queued operation in flight
+    this.lastWriteError = null;
+  }
+
+  get lastSeq() {
+    return this.segments.length > 0 ? this.segments[this.segments.length - 1].lastSeq : 0;
+  }
+
+  get firstSeq() {
+    return this.segments.length > 0 ? this.segments[0].firstSeq : null;
+  }
+
+  get totalBytes() {
+    return this.segments.reduce((total, segment) => total + segment.size, 0);
+  }
+
+  open() {
+    fs.mkdirSync(this.dir, { recursive: true });
+    
+    // The stream id survives restarts together with the sequence ids it scopes
+    const streamFile = path.join(this.dir, 'stream.json');
+    try {
+      this.streamId = JSON.parse(fs.readFileSync(streamFile, 'utf8')).streamId;
+    } catch (error) {
+      this.streamId = crypto.randomBytes(8).toString('hex');
+      fs.writeFileSync(streamFile, JSON.stringify({ streamId: this.streamId }));
+    }
+    
+    const names = fs.readdirSync(this.dir).filter(name => SEGMENT_NAME_PATTERN.test(name)).sort();
+    for (const name of names) {
+      const segment = this.loadSegment(name);
+      if (segment) this.segments.push(segment);
+    }
+    
+    this.applyRetention();
+    
+    // Keep appending to the newest segment after a restart unless it is already full
+    const newest = this.segments[this.segments.length - 1];
+    if (newest && !this.isFull(newest)) {
+      this.activate(newest);
+    }
+    
+    this.retentionTimer = setInterval(() => this.applyRetention(), 10 * 60 * 1000);
+    this.retentionTimer.unref();
+    
+    Logger.info('History store opened', {
+      dir: this.dir,
+      segments: this.segments.length,
+      totalBytes: this.totalBytes,
+      firstSeq: this.firstSeq,
+      lastSeq: this.lastSeq
+    });
+  }
+
+  // Read a segment's index and verify its tail: entries after the last index point are
+  // scanned to find the last sequence id, and a line torn by a crash is cut off
+  loadSegment(name) {
+    const segmentPath = path.join(this.dir, name);
+    const indexPath = segmentPath.replace(/\.ndjson$/, '.idx');
+    const size = fs.statSync(segmentPath).size;
+    const storedIndex = readNdjsonFileSync(indexPath);
+    const index = storedIndex.filter(point => point.offset < size);
+    
+    const scanStart = index.length > 0 ? index[index.length - 1].offset : 0;
+    const buffer = Buffer.alloc(size - scanStart);
+    const fd = fs.openSync(segmentPath, 'r');
+    try {
+      fs.readSync(fd, buffer, 0, buffer.length, scanStart);
+    } finally {
+      fs.closeSync(fd);
+    }
+    
+    let offset = scanStart;
+    let last = null;
+    let scanned = 0;
+    for (const line of buffer.toString('utf8').split('\n')) {
+      const lineBytes = Buffer.byteLength(line) + 1;
+      if (offset + lineBytes > size) break; // No trailing newline: torn write
+      
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        break;
+      }
+      if (index.length === 0) {
+        index.push({ seq: entry.seq, time: entry.time, offset });
+      }
+      last = entry;
+      offset += lineBytes;
+      scanned++;
+    }
+    
+    if (!last && index.length === 0) {
+      fs.rmSync(segmentPath, { force: true });
+      fs.rmSync(indexPath, { force: true });
+      return null;
+    }
+    if (offset < size) {
+      Logger.warn('Truncating torn end of history segment', { segment: name, size, validSize: offset });
+      fs.truncateSync(segmentPath, offset);
+    }
+    if (index.length !== storedIndex.length) {
+      fs.writeFileSync(indexPath, index.map(point => JSON.stringify(point) + '\n').join(''));
+    }
+    
+    return {
+      name,
+      path: segmentPath,
+      indexPath,
+      firstSeq: index[0].seq,
+      firstTime: index[0].time,
+      lastSeq: last ? last.seq : index[index.length - 1].seq,
+      lastTime: last ? last.time : index[index.length - 1].time,
+      size: offset,
+      writtenSize: offset,
+      index,
+      sinceIndex: scanned
+    };
+  }
+
+  isFull(segment) {
+    return segment.size >= this.options.segmentBytes ||
+      Date.now() - segment.firstTime >= this.options.segmentMaxAgeMinutes * 60 * 1000;
+  }
+
+  activate(segment) {
+    const indexFd = fs.openSync(segment.indexPath, SEGMENT_WRITE_FLAGS);
+    this.active = {
+      fd: fs.openSync(segment.path, SEGMENT_WRITE_FLAGS),
+      indexFd,
+      indexSize: fs.fstatSync(indexFd).size,
+      segment
+    };
+  }
+
+  // Close the active segment and start a new one named after its first sequence id
+  roll(firstSeq) {
+    this.closeActive();
+    
+    const name = `segment-${String(firstSeq).padStart(16, '0')}.ndjson`;
+    const segment = {
+      name,
+      path: path.join(this.dir, name),
+      indexPath: path.join(this.dir, name.replace(/\.ndjson$/, '.idx')),
+      firstSeq,
+      firstTime: Date.now(),
+      lastSeq: firstSeq - 1,
+      lastTime: null,
+      size: 0,
+      writtenSize: 0,
+      index: [],
+      sinceIndex: 0
+    };
+    this.segments.push(segment);
+    this.activate(segment);
+    this.applyRetention();
+  }
+
+  append(entries) {
+    if (entries.length === 0) return;
+    if (!this.active || this.isFull(this.active.segment)) {
+      this.roll(entries[0].seq);
+    }
+    
+    const { segment } = this.active;
+    const points = [];
+    let chunk = '';
+    let offset = segment.size;
+    
+    for (const entry of entries) {
+      if (segment.index.length === 0 || segment.sinceIndex >= this.options.indexInterval) {
+        const point = { seq: entry.seq, time: entry.time, offset };
+        segment.index.push(point);
+        points.push(point);
+        segment.sinceIndex = 0;
+      }
+      
+      const record = JSON.stringify({
+        seq: entry.seq,
+        time: entry.time,
+        line: entry.line,
+        source: entry.source,
+        fields: entry.fields
+      }) + '\n';
+      chunk += record;
+      offset += Buffer.byteLength(record);
+      segment.sinceIndex++;
+    }
+    
+    // Index points first: on load, points past the end of the data are dropped
+    if (points.length > 0) {
+      const data = Buffer.from(points.map(point => JSON.stringify(point) + '\n').join(''));
+      this.enqueueWrite({ fd: this.active.indexFd, data, position: this.active.indexSize, segment: null });
+      this.active.indexSize += data.length;
+    }
+    this.enqueueWrite({ fd: this.active.fd, data: Buffer.from(chunk), position: segment.size, segment });
+    
+    segment.size = offset;
+    segment.lastSeq = entries[entries.length - 1].seq;
+    segment.lastTime = entries[entries.length - 1].time;
+  }
+
+  // Writes leave the event loop through a queue, one at a time and in order. Each one
+  // carries its file offset, so writing the same bytes again is harmless: the checkpoint
+  // and shutdown paths write out whatever is still queued or in flight synchronously
+  enqueueWrite(write) {
+    this.writes.push(write);
+    this.runWrites();
+  }
+
+  runWrites() {
+    if (this.writing || this.writes.length === 0) return;
+    
+    const operation = this.writes[0];
+    this.writing = operation;
+    const done = (error, bytesWritten) => {
+      this.writing = null;
+      if (!error && !operation.close && bytesWritten < operation.data.length) {
+        operation.data = operation.data.subarray(bytesWritten);
+        operation.position += bytesWritten;
+      } else if (this.writes[0] === operation) {
+        this.writes.shift();
+        if (error) {
+          this.reportWriteError(error);
+        } else if (operation.segment) {
+          operation.segment.writtenSize = Math.max(operation.segment.writtenSize, operation.position + operation.data.length);
+        }
+      }
+      this.runWrites();
+    };
+    
+    if (operation.close) {
+      fs.close(operation.fd, done);
+    } else {
+      fs.write(operation.fd, operation.data, 0, operation.data.length, operation.position, done);
+    }
+  }
+
+  // Keep streaming when the disk is full or unwritable; only the persisted copy suffers
+  reportWriteError(error) {
+    if (error.message !== this.lastWriteError) {
+      Logger.error('Failed to write history store', { error: error.message, code: error.code });
+      this.lastWriteError = error.message;
+    }
+  }
+
+  // Write every queued write now. Closes stay queued: a file is never closed under a write
+  // still in flight
+  flushSync() {
+    const closes = [];
+    for (const operation of this.writes) {
+      if (operation.close) {
+        closes.push(operation);
+        continue;
+      }
+      
+      try {
+        let written = 0;
+        while (written < operation.data.length) {
+          written += fs.writeSync(operation.fd, operation.data, written, operation.data.length - written, operation.position + written);
+        }
+        if (operation.segment) {
+          operation.segment.writtenSize = Math.max(operation.segment.writtenSize, operation.position + operation.data.length);
+        }
+      } catch (error) {
+        this.reportWriteError(error);
+      }
+    }
+    this.writes = closes;
+  }
+
+  // Delete the oldest segments while the store is over its size or age limits;
+  // the segment being written to is never deleted
+  applyRetention() {
+    const maxAgeMs = this.options.maxAgeHours * 60 * 60 * 1000;
+    let totalBytes = this.totalBytes;
+    
+    while (this.segments.length > 1) {
+      const oldest = this.segments[0];
+      const tooOld = oldest.lastTime !== null && Date.now() - oldest.lastTime > maxAgeMs;
+      if (totalBytes <= this.options.maxBytes && !tooOld) break;
+      
+      this.segments.shift();
+      totalBytes -= oldest.size;
+      fs.rmSync(oldest.path, { force: true });
+      fs.rmSync(oldest.indexPath, { force: true });
+      Logger.info('Removed history segment by retention', {
+        segment: oldest.name,
+        reason: tooOld ? 'age' : 'size',
+        firstSeq: oldest.firstSeq,
+        lastSeq: oldest.lastSeq
+      });
+    }
+  }
+
+  // Byte offset to start reading a segment at: the last index point before both bounds
+  findStartOffset(segment, afterSeq, since) {
+    let offset = 0;
+    for (const point of segment.index) {
+      if (point.seq <= afterSeq + 1 || point.time < since) {
+        offset = point.offset;
+      } else {
+        break;
+      }
+    }
+    return offset;
+  }
+
+  // Yield batches of stored entries with seq > afterSeq and since <= time <= until,
+  // oldest first. Lines appended while reading are not included
+  async *read({ afterSeq = 0, since = -Infinity, until = Infinity } = {}) {
+    for (const segment of [...this.segments]) {
+      if (segment.lastSeq <= afterSeq || (segment.lastTime !== null && segment.lastTime < since)) continue;
+      if (segment.firstTime > until) return;
+      
+      // Lines still on their way to the disk are left out
+      const end = segment.writtenSize;
+      const start = this.findStartOffset(segment, afterSeq, since);
+      if (start >= end) continue;
+      
+      const input = fs.createReadStream(segment.path, { start, end: end - 1 });
+      const lines = readline.createInterface({ input, crlfDelay: Infinity });
+      let batch = [];
+      try {
+        for await (const line of lines) {
+          if (!line) continue;
+          
+          const entry = JSON.parse(line);
+          if (entry.seq <= afterSeq || entry.time < since) continue;
+          if (entry.time > until) {
+            if (batch.length > 0) yield batch;
+            return;
+          }
+          
+          batch.push(entry);
+          if (batch.length >= STORE_READ_BATCH_SIZE) {
+            yield batch;
+            batch = [];
+          }
+        }
+      } catch (error) {
+        // Segments removed by retention mid-read simply end early
+        if (error.code !== 'ENOENT') throw error;
+      } finally {
+        lines.close();
+        input.destroy();
+      }
+      
+      if (batch.length > 0) yield batch;
+    }
+  }
+
+  // The newest `count` entries, oldest first
+  async readTail(count) {
+    const entries = [];
+    for await (const batch of this.read({ afterSeq: Math.max(0, this.lastSeq - count) })) {
+      entries.push(...batch);
+    }
+    return entries;
+  }
+
+  loadCheckpoint() {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.dir, 'checkpoint.json'), 'utf8'));
+    } catch (error) {
+      return {};
+    }
+  }
+
+  // Written to a temporary file first so a crash never leaves a half-written checkpoint.
+  // The lines read up to the checkpoint are written out first, or a crash would lose them
+  saveCheckpoint(checkpoint) {
+    this.flushSync();
+    const checkpointPath = path.join(this.dir, 'checkpoint.json');
+    fs.writeFileSync(`${checkpointPath}.tmp`, JSON.stringify(checkpoint));
+    fs.renameSync(`${checkpointPath}.tmp`, checkpointPath);
+  }
+
+  closeActive() {
+    if (this.active) {
+      this.enqueueWrite({ fd: this.active.fd, close: true });
+      this.enqueueWrite({ fd: this.active.indexFd, close: true });
+      this.active = null;
+    }
+  }
+
+  // Everything is on disk when this returns; a file with a write still in flight is left
+  // for the queue to close
+  close() {
+    clearInterval(this.retentionTimer);
+    this.retentionTimer = null;
+    this.closeActive();
+    this.flushSync();
+    
+    const busyFd = this.writing && !this.writing.close ? this.writing.fd : null;
+    this.writes = this.writes.filter((operation) => {
+      if (operation === this.writing || operation.fd === busyFd) return true;
+      fs.closeSync(operation.fd);
+      return false;
+    });
+  }
+}
+
+// Authentication: static bearer tokens, basic auth against an htpasswd file and signed
+// session cookies handed out by the login page. Identities are { user, method } and carry
+// the compiled access rule that limits which entries the user sees
+const SESSION_COOKIE = 'lls_session';
+const MAX_VERIFIED_PASSWORDS = 1000;
+const HTPASSWD_CHECK_INTERVAL_MS = 5000; // Least time between looks at the htpasswd file
+const APR1_ALPHABET = './0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+// Apache's MD5 variant ("htpasswd -m", the htpasswd default)
+function apr1Crypt(password, salt) {
+  const magic = '$apr1$';
+  const secret = Buffer.from(password, 'utf8');
+  
+  let digest = crypto.createHash('md5').update(secret).update(salt).update(secret).digest();
+  const context = crypto.createHash('md5').update(secret).update(magic).update(salt);
+  for (let remaining = secret.length; remaining > 0; remaining -= 16) {
+    context.update(digest.subarray(0, Math.min(remaining, 16)));
+  }
+  for (let bits = secret.length; bits > 0; bits >>= 1) {
+    context.update(bits & 1 ? Buffer.alloc(1) : secret.subarray(0, 1));
+  }
+  digest = context.digest();
+  
+  for (let round = 0; round < 1000; round++) {
+    const hash = crypto.createHash('md5').update(round & 1 ? secret : digest);
+    if (round % 3) hash.update(salt);
+    if (round % 7) hash.update(secret);
+    digest = hash.update(round & 1 ? digest : secret).digest();
+  }
+  
+  const encode = (value, length) => {
+    let out = '';
+    for (let i = 0; i < length; i++, value >>= 6) {
+      out += APR1_ALPHABET[value & 0x3f];
+    }
+    return out;
+  };
+  let encoded = '';
+  for (const [a, b, c] of [[0, 6, 12], [1, 7, 13], [2, 8, 14], [3, 9, 15], [4, 10, 5]]) {
+    encoded += encode((digest[a] << 16) | (digest[b] << 8) | digest[c], 4);
+  }
+  encoded += encode(digest[11], 2);
+  return `${magic}${salt}$${encoded}`;
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+const scryptAsync = util.promisify(crypto.scrypt);
+
+// Supported hashes: $apr1$ (htpasswd -m), {SHA} (htpasswd -s) and
+// $scrypt$<base64 salt>$<base64 64-byte key> for hashes made with Node's crypto.scrypt.
+// scrypt is slow by design, so it runs off the event loop
+async function verifyPasswordHash(password, hash) {
+  if (hash.startsWith('$apr1$')) {
+    const salt = hash.slice(6).split('$')[0];
+    return safeEqual(apr1Crypt(password, salt), hash);
+  }
+  if (hash.startsWith('{SHA}')) {
+    return safeEqual('{SHA}' + crypto.createHash('sha1').update(password, 'utf8').digest('base64'), hash);
+  }
+  if (hash.startsWith('$scrypt$')) {
+    const [, , salt, key] = hash.split('$');
+    const expected = Buffer.from(key || '', 'base64');
+    if (expected.length === 0) return false;
+    try {
+      const actual = await scryptAsync(password, Buffer.from(salt, 'base64'), expected.length);
+      return crypto.timingSafeEqual(actual, expected);
+    } catch (error) {
+      return false;
+    }
+  }
+  return false;
+}
+
+function isSameOrigin(req) {
+  const origin = req.headers.origin;
+  if (!origin) return true;
+  
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch (error) {
+    return false;
+  }
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || '').split(';')) {
+    const separator = part.indexOf('=');
+    if (separator > 0) {
+      cookies[part.slice(0, separator).trim()] = part.slice(separator + 1).trim();
+    }
+  }
+  return cookies;
+}
+
+// A rule compiled for fast checks; null stands for unrestricted access
+// A rule limiting neither sources nor vhosts is full access, which is null everywhere
+function compileAccessRule(rule) {
+  if (!rule || (!rule.sources && !rule.vhosts)) return null;
+  
+  const sources = rule.sources && new Set(rule.sources);
+  const vhosts = rule.vhosts && rule.vhosts.map(pattern => globToRegExp(pattern));
+  return {
+    allowsSource: (name) => !sources || sources.has(name),
+    allows: (entry) => (!sources || sources.has(entry.source.name)) &&
+      (!vhosts || (entry.source.vhost !== null && vhosts.some(pattern => pattern.test(entry.source.vhost))))
+  };
+}
+
+// Nothing is visible to a user without an ACL entry once an ACL is configured
+const DENY_ALL_RULE = { allowsSource: () => false, allows: () => false };
+
+class Authenticator {
+  constructor(options) {
+    this.options = options;
+    this.tokens = options.tokens.map(token => ({ user: token.user, sha256: token.sha256.toLowerCase() }));
+    this.passwords = new Map();
+    this.passwordsMtime = null;
+    this.passwordsCheckedAt = 0;
+    this.verified = new Map(); // SHA-256 of user and password -> the hash they were verified against
+    this.rules = new Map();
+    
+    this.sessionSecret = options.sessionSecret;
+    if (options.enabled && !this.sessionSecret) {
+      this.sessionSecret = crypto.randomBytes(32).toString('hex');
+      if (options.htpasswd) {
+        Logger.warn('No auth.sessionSecret configured, login sessions end when the server restarts');
+      }
+    }
+    
+    if (options.enabled && options.htpasswd) {
+      this.loadPasswords();
+    }
+  }
+
+  get enabled() {
+    return this.options.enabled;
+  }
+
+  // Re-read the htpasswd file whenever it changed, so users can be added without a restart.
+  // It is looked at once every few seconds at most rather than on every request
+  loadPasswords() {
+    if (Date.now() - this.passwordsCheckedAt < HTPASSWD_CHECK_INTERVAL_MS) return;
+    this.passwordsCheckedAt = Date.now();
+    
+    let stat;
+    try {
+      stat = fs.statSync(this.options.htpasswd);
+    } catch (error) {
+      if (this.passwordsMtime !== 0) {
+        Logger.error('Cannot read htpasswd file', { file: this.options.htpasswd, error: error.message });
+      }
+      this.passwords = new Map();
+      this.passwordsMtime = 0;
+      return;
+    }
+    if (stat.mtimeMs === this.passwordsMtime) return;
+    
+    // A file being replaced or gone since the stat keeps the users read before
+    let text;
+    try {
+      text = fs.readFileSync(this.options.htpasswd, 'utf8');
+    } catch (error) {
+      Logger.error('Cannot read htpasswd file, keeping the previous users', { file: this.options.htpasswd, error: error.message });
+      return;
+    }
+    
+    // Unsupported hashes stop the server at startup; ones added later are only skipped
+    const passwords = new Map();
+    for (const { user, hash } of parseHtpasswd(text)) {
+      if (!SUPPORTED_PASSWORD_HASH.test(hash)) {
+        Logger.warn('Unsupported password hash in htpasswd file, use htpasswd -m', { user });
+        continue;
+      }
+      passwords.set(user, hash);
+    }
+    this.passwords = passwords;
+    this.passwordsMtime = stat.mtimeMs;
+    this.verified.clear();
+  }
+
+  // Basic auth sends the password with every request; once verified, a password is only
+  // hashed with SHA-256 to recognise it until the htpasswd file changes
+  async verifyPassword(user, password) {
+    if (!this.options.htpasswd) return false;
+    
+    this.loadPasswords();
+    const hash = this.passwords.get(user);
+    if (hash === undefined) return false;
+    
+    const key = crypto.createHash('sha256').update(`${user}\0${password}`).digest('hex');
+    if (this.verified.get(key) === hash) return true;
+    if (!(await verifyPasswordHash(password, hash))) return false;
+    
+    if (this.verified.size >= MAX_VERIFIED_PASSWORDS) {
+      this.verified.clear();
+    }
+    this.verified.set(key, hash);
+    return true;
+  }
+
+  verifyToken(token) {
+    const digest = crypto.createHash('sha256').update(token, 'utf8').digest('hex');
+    const match = this.tokens.find(candidate => safeEqual(candidate.sha256, digest));
+    return match ? match.user : null;
+  }
+
+  sign(payload) {
+    return crypto.createHmac('sha256', this.sessionSecret).update(payload).digest('base64url');
+  }
+
+  createSessionCookie(user) {
+    const expires = Date.now() + this.options.sessionTtlHours * 60 * 60 * 1000;
+    const payload = Buffer.from(JSON.stringify({ user, expires })).toString('base64url');
+    return this.formatCookie(`${payload}.${this.sign(payload)}`, Math.round(this.options.sessionTtlHours * 60 * 60));
+  }
+
+  clearSessionCookie() {
+    return this.formatCookie('', 0);
+  }
+
+  // Strict same-site keeps other sites from riding the session, including on WebSocket upgrades
+  formatCookie(value, maxAgeSeconds) {
+    const secure = this.options.secureCookies ? '; Secure' : '';
+    return `${SESSION_COOKIE}=${value}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAgeSeconds}${secure}`;
+  }
+
+  readSession(cookieHeader) {
+    const value = parseCookies(cookieHeader)[SESSION_COOKIE];
+    if (!value) return null;
+    
+    const [payload, signature] = value.split('.');
+    if (!payload || !signature || !safeEqual(signature, this.sign(payload))) return null;
+    
+    try {
+      const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      return typeof session.user === 'string' && session.expires > Date.now() ? session.user : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Identity of a request, or null when it does not authenticate
+  async authenticate(req) {
+    if (!this.enabled) {
+      return { user: null, method: 'none', access: null };
+    }
+    
+    let user = null;
+    let method = null;
+    const [scheme, credentials] = (req.headers.authorization || '').split(' ');
+    if (/^bearer$/i.test(scheme) && credentials) {
+      user = this.verifyToken(credentials);
+      method = 'token';
+    } else if (/^basic$/i.test(scheme) && credentials) {
+      const decoded = Buffer.from(credentials, 'base64').toString('utf8');
+      const separator = decoded.indexOf(':');
+      if (separator > 0 && await this.verifyPassword(decoded.slice(0, separator), decoded.slice(separator + 1))) {
+        user = decoded.slice(0, separator);
+      }
+      method = 'basic';
+    } else {
+      user = this.readSession(req.headers.cookie);
+      method = 'session';
+      
+      // Cookies ride along on cross-site requests the browser makes on its own, so a
+      // session only counts for requests coming from our own pages
+      if (user && !isSameOrigin(req)) {
+        user = null;
+      }
+    }
+    
+    return user ? { user, method, access: this.accessRuleFor(user) } : null;
+  }
+
+  accessRuleFor(user) {
+    if (!this.options.acl) return null;
+    
+    if (!this.rules.has(user)) {
+      const rule = this.options.acl[user] || this.options.acl['*'];
+      this.rules.set(user, rule ? compileAccessRule(rule) : DENY_ALL_RULE);
+    }
+    return this.rules.get(user);
+  }
+}
+
+// Invalid parameters of an HTTP or WebSocket request
+class RequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RequestError';
+  }
+}
+
+// Accepts epoch milliseconds or anything Date.parse understands (ISO 8601)
+function parseTimeParam(value, name) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  
+  const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new RequestError(`Invalid ${name} time "${value}"`);
+  }
+  return time;
+}
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+// Wait until a response takes more data or has closed. Both listeners go once either
+// fires, so a long download does not pile up listeners on the response
+function waitForDrain(res) {
+  return new Promise((resolve) => {
+    if (res.destroyed) {
+      resolve();
+      return;
+    }
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+// GET /api/logs: entries in a time window, oldest first, through the same search, access
+// rules and redaction as the live stream.
+//   since, until       epoch milliseconds or ISO 8601
+//   q, mode, caseSensitive, wholeWord
+//                      search like the WebSocket client, except that query syntax errors
+//                      are rejected instead of falling back to a literal search
+//   contextBefore, contextAfter
+//                      lines of the same file around each match, marked context: true
+//   source             comma-separated source names
+//   cursor, streamId   continue after the entry with that seq; with streamId the request is
+//                      refused when the stream restarted and sequence ids start over
+//   limit              at most this many entries (default 1000)
+//   format             ndjson (default) streams one entry per line; json returns one
+//                      object with the entries and the cursor of the next page
+const LOGS_FORMATS = ['ndjson', 'json'];
+
+function parseLogsRequest(params, formats = LOGS_FORMATS) {
+  const mode = params.get('mode') || 'text';
+  if (!SEARCH_MODES.includes(mode)) {
+    throw new RequestError(`Unknown search mode "${mode}"`);
+  }
+  
+  const format = params.get('format') || formats[0];
+  if (!formats.includes(format)) {
+    throw new RequestError(`Unknown format "${format}", use ${formats.join(' or ')}`);
+  }
+  
+  const cursor = params.get('cursor');
+  if (cursor !== null && !/^\d+$/.test(cursor)) {
+    throw new RequestError(`Invalid cursor "${cursor}"`);
+  }
+  
+  let sources = null;
+  if (params.get('source')) {
+    sources = new Set(params.get('source').split(',').map(name => name.trim()).filter(Boolean));
+    const unknown = [...sources].filter(name => !config.sources.some(source => source.name === name));
+    if (unknown.length > 0) {
+      throw new RequestError(`Unknown source ${unknown.map(name => `"${name}"`).join(', ')}`);
+    }
+  }
+  
+  return {
+    since: parseTimeParam(params.get('since'), 'since'),
+    until: parseTimeParam(params.get('until'), 'until'),
+    afterSeq: cursor === null ? 0 : Number(cursor),
+    sources,
+    format,
+    limit: logBroadcaster.clampQueryLimit(params.get('limit')),
+    context: {
+      before: clampContextLines(params.get('contextBefore'), config.search.maxContextLines),
+      after: clampContextLines(params.get('contextAfter'), config.search.maxContextLines)
+    },
+    filter: createSearchFilter(params.get('q') || '', {
+      mode,
+      caseSensitive: params.get('caseSensitive') === 'true',
+      wholeWord: params.get('wholeWord') === 'true'
+    }, config.search)
+  };
+}
+
+// Access rules apply before the search, exactly as for live clients, so context lines
+// only come from what they let through
+function restrictToAccess(search, access, context) {
+  const hasContext = search !== null && (context.before > 0 || context.after > 0);
+  if (!access && !hasContext) {
+    return search;
+  }
+  const contextState = createContextState();
+  return (entries) => {
+    const allowed = access ? entries.filter(access.allows) : entries;
+    if (!search) return allowed;
+    const matches = search(allowed);
+    return hasContext ? addSearchContext(allowed, matches, context, contextState) : matches;
+  };
+}
+
+async function handleLogsRequest(req, res, url) {
+  let request;
+  try {
+    request = parseLogsRequest(url.searchParams);
+  } catch (error) {
+    if (!(error instanceof RequestError || error instanceof QueryParseError || error instanceof SearchPatternError)) {
+      throw error;
+    }
+    sendJson(res, 400, { error: error.message, position: error.position ?? null });
+    return;
+  }
+  
+  request.filter = restrictToAccess(request.filter, req.identity.access, request.context);
+  
+  const streamId = url.searchParams.get('streamId');
+  if (streamId && streamId !== logBroadcaster.streamId) {
+    sendJson(res, 409, { error: 'The log stream restarted, cursors of the old stream no longer apply', streamId: logBroadcaster.streamId });
+    return;
+  }
+  
+  const { limit, format } = request;
+  const entries = [];
+  let count = 0;
+  let lastSeq = null;
+  let truncated = false;
+  
+  if (format === 'ndjson') {
+    res.writeHead(200, {
+      'Content-Type': 'application/x-ndjson',
+      'Cache-Control': 'no-store',
+      'X-Stream-Id': logBroadcaster.streamId
+    });
+  }
+  
+  try {
+    for await (const batch of logBroadcaster.queryLogs(request)) {
+      if (res.destroyed) return;
+      
+      const page = batch.slice(0, limit - count);
+      count += page.length;
+      lastSeq = page[page.length - 1].seq;
+      
+      if (format === 'json') {
+        entries.push(...page);
+      } else if (!res.write(page.map(entry => JSON.stringify(entry) + '\n').join(''))) {
+        await waitForDrain(res);
+      }
+      
+      if (count >= limit) {
+        truncated = true;
+        break;
+      }
+    }
+  } catch (error) {
+    const message = error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT'
+      ? `Pattern took longer than ${config.search.regexTimeoutMs}ms (catastrophic backtracking?)`
+      : error.message;
+    Logger.warn('Log query aborted', { error: message, count });
+    
+    if (format === 'json') {
+      sendJson(res, 422, { error: message });
+      return;
+    }
+    // Headers are gone already; the error becomes the last line of the stream
+    res.write(JSON.stringify({ error: message }) + '\n');
+  }
+  
+  if (format === 'json') {
+    sendJson(res, 200, {
+      streamId: logBroadcaster.streamId,
+      count,
+      truncated,
+      nextCursor: truncated ? lastSeq : null,
+      entries
+    });
+  } else {
+    res.end();
+  }
+}
+
+// GET /api/export: download entries of a time window as a file, streamed as it is read.
+// Takes the parameters of /api/logs except cursor, with format
+//   text (default)     the log lines
+//   ndjson             one entry per line with parsed fields and source metadata
+//   csv                one row per entry with the access log fields, for spreadsheets
+// and no limit by default (at most 100,000 entries). Every line goes through the current
+// redaction rules again, so entries stored before a rule was added leave redacted too
+const EXPORT_FORMATS = ['text', 'ndjson', 'csv'];
+const EXPORT_CONTENT_TYPES = { text: 'text/plain; charset=utf-8', ndjson: 'application/x-ndjson', csv: 'text/csv; charset=utf-8' };
+const EXPORT_EXTENSIONS = { text: 'log', ndjson: 'ndjson', csv: 'csv' };
+const CSV_COLUMNS = [
+  'time', 'seq', 'source', 'vhost', 'file', 'client', 'user', 'method', 'path', 'protocol', 'status',
+  'bytes', 'referrer', 'userAgent', 'responseTimeMs', 'serverName', 'line'
+];
+
+// Quoted when needed; values a spreadsheet would run as a formula get a leading quote
+function formatCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatExportEntry(entry, format) {
+  switch (format) {
+    case 'ndjson':
+      return JSON.stringify(entry) + '\n';
+    case 'csv': {
+      const fields = entry.fields || {};
+      const values = {
+        time: new Date(entry.time).toISOString(),
+        seq: entry.seq,
+        source: entry.source.name,
+        vhost: entry.source.vhost,
+        file: entry.source.file,
+        line: entry.line
+      };
+      return CSV_COLUMNS.map(column => formatCsvValue(column in values ? values[column] : fields[column])).join(',') + '\r\n';
+    }
+    default:
+      return entry.line + '\n';
+  }
+}
+
+function redactForExport(entry) {
+  const line = logBroadcaster.redactor.redact(entry.line, entry.source.name);
+  return line === entry.line ? entry : { ...entry, line, fields: logBroadcaster.parseLine(line, entry.source) };
+}
+
+async function handleExportRequest(req, res, url) {
+  let request;
+  try {
+    request = parseLogsRequest(url.searchParams, EXPORT_FORMATS);
+  } catch (error) {
+    if (!(error instanceof RequestError || error instanceof QueryParseError || error instanceof SearchPatternError)) {
+      throw error;
+    }
+    sendJson(res, 400, { error: error.message, position: error.position ?? null });
+    return;
+  }
   
-  // IPv6 pattern: matches standard IPv6 addresses
-  const ipv6Pattern = /\b(?:[0-9a-fA-F]{1,4}:){7}[0-9a-fA-F]{1,4}\b|\b(?:[0-9a-fA-F]{1,4}:){1,7}:\b|\b(?:[0-9a-fA-F]{1,4}:){1,6}:[0-9a-fA-F]{1,4}\b|\b(?:[0-9a-fA-F]{1,4}:){1,5}(?::[0-9a-fA-F]{1,4}){1,2}\b|\b(?:[0-9a-fA-F]{1,4}:){1,4}(?::[0-9a-fA-F]{1,4}){1,3}\b|\b(?:[0-9a-fA-F]{1,4}:){1,3}(?::[0-9a-fA-F]{1,4}){1,4}\b|\b(?:[0-9a-fA-F]{1,4}:){1,2}(?::[0-9a-fA-F]{1,4}){1,5}\b|\b[0-9a-fA-F]{1,4}:(?::[0-9a-fA-F]{1,4}){1,6}\b|\b::(?:[0-9a-fA-F]{1,4}:){0,6}[0-9a-fA-F]{1,4}\b|\b(?:[0-9a-fA-F]{1,4}:){1,7}:\b/g;
+  request.filter = restrictToAccess(request.filter, req.identity.access, request.context);
+  request.afterSeq = 0;
+  if (!url.searchParams.has('limit')) {
+    request.limit = logBroadcaster.MAX_QUERY_LIMIT;
+  }
   
-  // Replace IPv4 addresses with obfuscated version (show first 2 octets, mask the rest)
-  let obfuscated = logData.replace(ipv4Pattern, (match) => {
-    const parts = match.split('.');
-    return `${parts[0]}.${parts[1]}.xxx.xxx`;
+  const { limit, format } = request;
+  const fileName = `logs-${new Date().toISOString().replace(/[:.]/g, '-')}.${EXPORT_EXTENSIONS[format]}`;
+  res.writeHead(200, {
+    'Content-Type': EXPORT_CONTENT_TYPES[format],
+    'Content-Disposition': `attachment; filename="${fileName}"`,
+    'Cache-Control': 'no-store',
+    'X-Stream-Id': logBroadcaster.streamId
   });
+  if (format === 'csv') {
+    res.write(CSV_COLUMNS.join(',') + '\r\n');
+  }
   
-  // Replace IPv6 addresses with obfuscated version (show first 2 segments, mask the rest)
-  obfuscated = obfuscated.replace(ipv6Pattern, (match) => {
-    if (match.includes('::')) {
-      const firstPart = match.split('::')[0];
-      const segments = firstPart.split(':');
-      if (segments.length >= 2) {
-        return `${segments[0]}:${segments[1]}::xxxx:xxxx:xxxx:xxxx`;
-      } else {
-        return `${segments[0]}:xxxx::xxxx:xxxx:xxxx:xxxx`;
+  let count = 0;
+  try {
+    for await (const batch of logBroadcaster.queryLogs(request)) {
+      if (res.destroyed) return;
+      
+      const page = batch.slice(0, limit - count);
+      count += page.length;
+      if (!res.write(page.map(entry => formatExportEntry(redactForExport(entry), format)).join(''))) {
+        await waitForDrain(res);
       }
-    } else {
-      const parts = match.split(':');
-      return `${parts[0]}:${parts[1]}:xxxx:xxxx:xxxx:xxxx:xxxx:xxxx`;
+      
+      if (count >= limit) break;
+    }
+  } catch (error) {
+    const message = error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT'
+      ? `Pattern took longer than ${config.search.regexTimeoutMs}ms (catastrophic backtracking?)`
+      : error.message;
+    Logger.warn('Log export aborted', { error: message, count });
+    
+    // Headers are gone already; cut the download short so it is not taken for complete
+    res.destroy();
+    return;
+  }
+  
+  Logger.info('Logs exported', { format, count, user: req.identity.user || null });
+  res.end();
+}
+
+// Just enough of the WebSocket interface for the broadcaster to treat an SSE response
+// like any other client connection
+class SseConnection {
+  constructor(res) {
+    this.res = res;
+    this.readyState = WebSocket.OPEN;
+    
+    // Comment lines keep proxies from timing out idle streams
+    this.heartbeat = setInterval(() => this.res.write(': keepalive\n\n'), 15000);
+  }
+
+  // eventId becomes the Last-Event-ID the browser sends back when it reconnects
+  send(data, eventId = null) {
+    if (this.readyState !== WebSocket.OPEN) {
+      throw new Error('Event stream is closed');
+    }
+    this.res.write(`${eventId === null ? '' : `id: ${eventId}\n`}data: ${data}\n\n`);
+  }
+
+  // Bytes written but not yet flushed to the socket, like WebSocket#bufferedAmount
+  get bufferedAmount() {
+    return this.res.writableLength;
+  }
+
+  close() {
+    this.readyState = WebSocket.CLOSED;
+    clearInterval(this.heartbeat);
+    this.res.end();
+  }
+}
+
+// GET /events: the live stream as Server-Sent Events, for networks whose proxies strip
+// WebSocket upgrades. Messages are the same JSON as on the WebSocket protocol. The search
+// comes as query params (id, q, mode, caseSensitive, wholeWord, contextBefore,
+// contextAfter, sources as comma-separated names) and changing it means
+// opening a new stream. Event ids are "<streamId>:<seq>", so a reconnect with
+// Last-Event-ID resumes after the last entry received
+function handleEventsRequest(req, res, url) {
+  const params = url.searchParams;
+  const clientInfo = {
+    remoteAddress: req.socket.remoteAddress,
+    userAgent: req.headers['user-agent'],
+    connectionTime: new Date().toISOString(),
+    transport: 'sse',
+    user: req.identity.user,
+    access: req.identity.access
+  };
+  
+  const lastEventId = req.headers['last-event-id'] || params.get('lastEventId') || '';
+  const [resumeStreamId, resumeSeq] = lastEventId.split(':');
+  const resumeFrom = /^\d+$/.test(resumeSeq || '') ? Number(resumeSeq) : null;
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-store',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Keep nginx from buffering the stream
+  });
+  // Reconnect quickly after the stream drops; browsers default to a few seconds
+  res.write('retry: 1000\n\n');
+  
+  const connection = new SseConnection(res);
+  logBroadcaster.addClient(connection, clientInfo, PROTOCOL_VERSION, true);
+  logBroadcaster.handleClientMessage(connection, {
+    type: 'setTextSearch',
+    id: /^\d+$/.test(params.get('id') || '') ? Number(params.get('id')) : 0,
+    value: params.get('q') || '',
+    mode: params.get('mode') || 'text',
+    caseSensitive: params.get('caseSensitive') === 'true',
+    wholeWord: params.get('wholeWord') === 'true',
+    contextBefore: params.get('contextBefore'),
+    contextAfter: params.get('contextAfter'),
+    sources: params.get('sources') ? params.get('sources').split(',') : null,
+    resumeFrom,
+    streamId: resumeStreamId
+  });
+  
+  res.on('close', () => {
+    connection.close();
+    logBroadcaster.removeClient(connection, clientInfo);
+  });
+}
+
+const authenticator = new Authenticator(config.auth);
+
+function serveFile(res, fileName, contentType) {
+  res.setHeader('Content-Type', contentType);
+  fs.createReadStream(path.join(__dirname, fileName)).pipe(res);
+}
+
+function redirect(res, location, headers = {}) {
+  res.writeHead(303, { Location: location, ...headers });
+  res.end();
+}
+
+// Requests without valid credentials: browsers navigating to pages go to the login page,
+// everything else gets a 401 naming the schemes that would work
+function rejectUnauthenticated(req, res, url) {
+  if (req.method === 'GET' && (url.pathname === '/' || url.pathname === '/app.js') && authenticator.options.htpasswd) {
+    redirect(res, '/login');
+    return;
+  }
+  
+  const schemes = [];
+  if (authenticator.options.htpasswd) schemes.push('Basic realm="Live Log Stream", charset="UTF-8"');
+  if (authenticator.options.tokens.length > 0) schemes.push('Bearer');
+  res.setHeader('WWW-Authenticate', schemes);
+  sendJson(res, 401, { error: 'Authentication required' });
+}
+
+// POST /login checks the form against the htpasswd file and sets the session cookie.
+// Failures are answered a second late to slow down guessing
+function handleLoginRequest(req, res) {
+  if (req.method === 'GET') {
+    serveFile(res, 'login.html', 'text/html');
+    return;
+  }
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'GET, POST');
+    sendJson(res, 405, { error: 'Method not allowed' });
+    return;
+  }
+  
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', (chunk) => {
+    body += chunk;
+    if (body.length > 4096) {
+      req.destroy();
+    }
+  });
+  req.on('end', async () => {
+    const form = new URLSearchParams(body);
+    const user = form.get('user') || '';
+    let verified;
+    try {
+      verified = authenticator.enabled && isSameOrigin(req) && await authenticator.verifyPassword(user, form.get('password') || '');
+    } catch (error) {
+      Logger.error('Failed to check sign-in', { user: user.substring(0, 100), error: error.message });
+      redirect(res, '/login?failed=1');
+      return;
+    }
+    if (verified) {
+      Logger.info('User signed in', { user, remoteAddress: req.socket.remoteAddress });
+      redirect(res, '/', { 'Set-Cookie': authenticator.createSessionCookie(user) });
+      return;
+    }
+    
+    Logger.warn('Failed sign-in', { user: user.substring(0, 100), remoteAddress: req.socket.remoteAddress });
+    setTimeout(() => redirect(res, '/login?failed=1'), 1000);
+  });
+}
+
+// Dispatch /api/ requests; every endpoint is read-only
+// GET /api/timeseries: entry counts per bucket for the rate chart, oldest first, empty
+// buckets included
+//   resolution         second (last 5 minutes, default) or minute (last 24 hours)
+//   since, until       epoch milliseconds or ISO 8601, within that window
+function handleTimeseriesRequest(req, res, url) {
+  const params = url.searchParams;
+  let request;
+  try {
+    const resolution = params.get('resolution') || 'second';
+    if (!TIMESERIES_RESOLUTIONS[resolution]) {
+      throw new RequestError(`Unknown resolution "${resolution}", use ${Object.keys(TIMESERIES_RESOLUTIONS).join(' or ')}`);
+    }
+    request = {
+      resolution,
+      since: parseTimeParam(params.get('since'), 'since'),
+      until: parseTimeParam(params.get('until'), 'until')
+    };
+  } catch (error) {
+    if (!(error instanceof RequestError)) {
+      throw error;
     }
+    sendJson(res, 400, { error: error.message });
+    return;
+  }
+  
+  const buckets = logBroadcaster.rates.getBuckets(request.resolution, { ...request, access: req.identity.access });
+  sendJson(res, 200, {
+    resolution: request.resolution,
+    bucketMs: TIMESERIES_RESOLUTIONS[request.resolution].bucketMs,
+    buckets
   });
+}
+
+// GET /api/alerts: fired and resolved alerts the user may see, newest first
+//   state              firing or resolved
+//   rule               name of an alert rule
+//   since              fired at or after, epoch milliseconds or ISO 8601
+//   limit              at most this many alerts (default 100)
+function handleAlertsRequest(req, res, url) {
+  const params = url.searchParams;
+  let request;
+  try {
+    const state = params.get('state');
+    if (state !== null && state !== 'firing' && state !== 'resolved') {
+      throw new RequestError(`Unknown alert state "${state}", use firing or resolved`);
+    }
+    const limit = params.get('limit');
+    if (limit !== null && !/^[1-9]\d*$/.test(limit)) {
+      throw new RequestError(`Invalid limit "${limit}"`);
+    }
+    request = {
+      state,
+      rule: params.get('rule'),
+      since: parseTimeParam(params.get('since'), 'since'),
+      limit: limit === null ? 100 : Number(limit)
+    };
+  } catch (error) {
+    if (!(error instanceof RequestError)) {
+      throw error;
+    }
+    sendJson(res, 400, { error: error.message });
+    return;
+  }
+  
+  const alerts = alertManager.getHistory({ ...request, limit: Infinity })
+    .filter(alert => isAlertVisible(alert, req.identity.access))
+    .slice(0, request.limit);
+  sendJson(res, 200, { count: alerts.length, alerts });
+}
+
+// GET /api/context: lines of the same source file around an entry still held in memory,
+// to show more context around a search match
+//   seq                sequence id of the entry
+//   before, after      how many lines (default 10, at most 200)
+//   streamId           refused with 409 when the stream restarted and sequence ids start over
+function handleContextRequest(req, res, url) {
+  const params = url.searchParams;
+  const seq = params.get('seq');
+  if (!/^\d+$/.test(seq || '')) {
+    sendJson(res, 400, { error: `Invalid seq "${seq}"` });
+    return;
+  }
+  
+  const streamId = params.get('streamId');
+  if (streamId && streamId !== logBroadcaster.streamId) {
+    sendJson(res, 409, { error: 'The log stream restarted, sequence ids of the old stream no longer apply', streamId: logBroadcaster.streamId });
+    return;
+  }
+  
+  const count = (name) => params.get(name) === null ? 10 : clampContextLines(params.get(name), MAX_CONTEXT_REQUEST_LINES);
+  const context = logBroadcaster.getContext(Number(seq), count('before'), count('after'), req.identity.access);
+  if (!context) {
+    sendJson(res, 404, { error: `Entry ${seq} is no longer held in memory` });
+    return;
+  }
+  sendJson(res, 200, context);
+}
+
+function handleApiRequest(req, res, url) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    sendJson(res, 405, { error: 'Method not allowed' });
+    return;
+  }
+  
+  switch (url.pathname) {
+    case '/api/logs':
+      handleLogsRequest(req, res, url).catch((error) => {
+        Logger.error('Failed to serve log query', { error: error.message });
+        if (!res.headersSent) {
+          sendJson(res, 500, { error: 'Internal server error' });
+        } else {
+          res.destroy();
+        }
+      });
+      break;
+    case '/api/sources':
+      sendJson(res, 200, { sources: logBroadcaster.getSourceSummaries(config.sources, req.identity.access) });
+      break;
+    case '/api/stats':
+      // Connected users, redaction counts and every source's status are for operators only
+      if (req.identity.access) {
+        sendJson(res, 403, { error: 'Stats need unrestricted access' });
+      } else {
+        sendJson(res, 200, logBroadcaster.getStats());
+      }
+      break;
+    case '/api/alerts':
+      handleAlertsRequest(req, res, url);
+      break;
+    case '/api/timeseries':
+      handleTimeseriesRequest(req, res, url);
+      break;
+    case '/api/context':
+      handleContextRequest(req, res, url);
+      break;
+    case '/api/export':
+      handleExportRequest(req, res, url).catch((error) => {
+        Logger.error('Failed to serve log export', { error: error.message });
+        if (!res.headersSent) {
+          sendJson(res, 500, { error: 'Internal server error' });
+        } else {
+          res.destroy();
+        }
+      });
+      break;
+    default:
+      sendJson(res, 404, { error: `Unknown endpoint ${url.pathname}` });
+  }
+}
+
+// Prometheus text exposition of metric families { name, type, help, samples: [{ labels, value }] }
+function formatMetrics(families) {
+  const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  const lines = [];
+  for (const family of families) {
+    lines.push(`# HELP ${family.name} ${family.help}`);
+    lines.push(`# TYPE ${family.name} ${family.type}`);
+    for (const { labels = {}, value } of family.samples) {
+      const labelText = Object.entries(labels).map(([key, labelValue]) => `${key}="${escapeLabel(labelValue)}"`).join(',');
+      lines.push(`${family.name}${labelText ? `{${labelText}}` : ''} ${value}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+// GET /metrics for Prometheus. Series name every source and user, so only identities
+// without an access restriction may scrape
+function handleMetricsRequest(req, res) {
+  if (req.identity.access) {
+    sendJson(res, 403, { error: 'Metrics need unrestricted access' });
+    return;
+  }
   
-  return obfuscated;
+  res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+  res.end(formatMetrics(logBroadcaster.getMetrics()));
+}
+
+// GET /healthz and /readyz, open without authentication for orchestrators. Live while at
+// least one source is being read, ready once every source has started and none is down
+function handleHealthRequest(res, url) {
+  const health = logBroadcaster.getHealth();
+  const ok = url.pathname === '/healthz' ? health.live : health.ready;
+  sendJson(res, ok ? 200 : 503, { status: ok ? 'ok' : 'unavailable', ...health });
 }
 
-const server = http.createServer((req, res) => {
-  if (req.url === '/') {
-    const file = path.join(__dirname, 'index.html');
-    res.setHeader('Content-Type', 'text/html');
-    fs.createReadStream(file).pipe(res);
-  } else if (req.url === '/app.js') {
-    const file = path.join(__dirname, 'app.js');
-    res.setHeader('Content-Type', 'application/javascript');
-    fs.createReadStream(file).pipe(res);
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  
+  if (url.pathname === '/login' && authenticator.enabled) {
+    handleLoginRequest(req, res);
+    return;
+  }
+  if ((url.pathname === '/healthz' || url.pathname === '/readyz') && req.method === 'GET') {
+    handleHealthRequest(res, url);
+    return;
+  }
+  if (url.pathname === '/logout' && req.method === 'POST') {
+    redirect(res, authenticator.enabled ? '/login' : '/', { 'Set-Cookie': authenticator.clearSessionCookie() });
+    return;
+  }
+  
+  try {
+    req.identity = await authenticator.authenticate(req);
+  } catch (error) {
+    Logger.error('Failed to authenticate request', { error: error.message, remoteAddress: req.socket.remoteAddress });
+    sendJson(res, 500, { error: 'Internal server error' });
+    return;
+  }
+  if (!req.identity) {
+    rejectUnauthenticated(req, res, url);
+    return;
+  }
+  
+  if (url.pathname.startsWith('/api/')) {
+    handleApiRequest(req, res, url);
+  } else if (url.pathname === '/metrics' && req.method === 'GET') {
+    handleMetricsRequest(req, res);
+  } else if (url.pathname === '/events' && req.method === 'GET') {
+    handleEventsRequest(req, res, url);
+  } else if (url.pathname === '/') {
+    serveFile(res, 'index.html', 'text/html');
+  } else if (url.pathname === '/app.js') {
+    serveFile(res, 'app.js', 'application/javascript');
   } else {
     res.writeHead(404);
     res.end();
   }
 });
 
-// Global state for managing single log tail process and multiple clients
+// Global state for managing the shared log tailers and multiple clients
 class LogBroadcaster {
-  constructor() {
+  constructor(config, alerts) {
+    this.sources = config.sources.filter(source => source.enabled);
+    this.tailOptions = config.tail;
+    this.searchOptions = config.search;
+    this.backpressure = config.backpressure;
+    this.redactor = new Redactor(config.redaction.rules, this.sources);
+    this.responseTimeUnits = new Map(this.sources.map(source => [source.name, source.responseTimeUnit]));
+    this.rates = new RateAggregator();
+    this.ratesTimer = null;
+    this.alerts = alerts;
+    this.alerts.on('alert', (event, alert) => this.broadcastAlert(event, alert));
     this.clients = new Map(); // Changed to Map to store client state including filters
-    this.tail = null;
+    this.supervisors = [];
     this.messageBuffer = [];
     this.bufferTimeout = null;
     this.isStarted = false;
     this.BUFFER_SIZE = 100; // Increased from 5 to 50 for better throughput
     this.BUFFER_DELAY = 50; // Reduced from 100ms to 50ms for faster transmission
     
-    // Server-side log storage
+    // Server-side log storage; every entry gets a sequence id, unique within this stream
+    this.streamId = crypto.randomBytes(8).toString('hex');
+    this.nextSeq = 1;
     this.storedLogs = [];
     this.MAX_STORED_LOGS = 5000; // Store last 5,000 logs server-side
     this.CLIENT_HISTORY_LIMIT = 1000; // Send last 1,000 matching logs to new clients (after filtering)
+    this.MAX_RESUME_ENTRIES = 50000; // Longer absences resume with a gap instead of everything missed
+    this.MAX_QUERY_LIMIT = 100000;
+    this.lastEntryTime = 0;
+    this.archiveScans = new ScanLimiter(this.searchOptions.maxArchiveScans);
+    
+    // With the on-disk store, sequence ids and the stream id carry over restarts
+    // A store that cannot be opened (say, a directory without write access) is no reason
+    // not to serve live logs: history then stays in memory only
+    this.store = config.store.enabled ? new SegmentStore(config.store) : null;
+    this.checkpointInterval = null;
+    if (this.store) {
+      try {
+        this.store.open();
+        this.streamId = this.store.streamId;
+        this.nextSeq = this.store.lastSeq + 1;
+      } catch (error) {
+        Logger.error('Could not open history store, keeping history in memory only', { dir: config.store.dir, error: error.message });
+        try {
+          this.store.close();
+        } catch (closeError) {
+          // Nothing was left open
+        }
+        this.store = null;
+      }
+    }
     
     // Stats tracking
+    this.startedAt = Date.now();
+    this.lastRates = null;
     this.stats = {
       totalMessagesProcessed: 0,
       totalBytesProcessed: 0,
@@ -114,29 +3906,66 @@ class LogBroadcaster {
       totalBytesSent: 0,
       lastStatsReset: Date.now()
     };
+    // Never reset, for /metrics
+    this.totals = {
+      linesIngested: new Map(), // Per source name
+      bytesRead: new Map(),
+      linesSent: 0,
+      bytesSent: 0,
+      linesSkipped: 0, // Dropped for slow clients
+      slowDisconnects: 0
+    };
+    this.nextClientId = 1;
     
     // Start periodic stats logging
     this.startStatsReporting();
   }
 
-  addClient(ws, clientInfo) {
+  // Clients announcing a resume get no connect history; they ask for what they missed instead
+  addClient(ws, clientInfo, protocol, deferHistory = false) {
     // Store client with text search state only
     const clientData = { 
+      id: this.nextClientId++,
       ws, 
       clientInfo, 
+      protocol, // PROTOCOL_VERSION or null for legacy plain-text clients
       messagesSent: 0, 
       totalBytesSent: 0,
-      textSearch: '', // Current text search
-      textSearchLowerCase: '' // Pre-computed lowercase for performance
+      searchId: 0, // Id of the client request that set the current search
+      textSearch: '', // Current search query or pattern
+      searchOptions: { mode: 'text', caseSensitive: false, wholeWord: false },
+      searchFilter: null, // Filters a batch of entries for the current search
+      context: { before: 0, after: 0 }, // Lines of context around each match
+      sources: null, // Names of the sources the client wants to see, null for all
+      contextState: createContextState(), // Where the context of live batches stands
+      access: clientInfo.access || null, // Access rule of the authenticated user, null for full access
+      lag: this.createLagState()
     };
     
     this.clients.set(ws, clientData);
     this.stats.totalClientConnections++;
 
+    this.sendMessage(clientData, {
+      type: 'hello',
+      protocol: PROTOCOL_VERSION,
+      serverTime: new Date().toISOString(),
+      streamId: this.streamId,
+      lastSeq: this.nextSeq - 1,
+      user: clientInfo.user || null,
+      sources: this.sources
+        .filter(source => !clientData.access || clientData.access.allowsSource(source.name))
+        .map(source => source.name),
+      historyLimit: this.CLIENT_HISTORY_LIMIT,
+      maxStoredLogs: this.MAX_STORED_LOGS,
+      historyDeferred: deferHistory
+    });
+
     // Send stored log history to new client immediately
-    this.sendLogHistoryToClient(clientData);
+    if (!deferHistory) {
+      this.sendLogHistoryToClient(clientData, 'connect');
+    }
 
-    // Tail process is always running, no need to start it here
+    // Tailers are always running, no need to start them here
   }
 
   removeClient(ws, clientInfo) {
@@ -144,187 +3973,691 @@ class LogBroadcaster {
     const client = this.clients.get(ws);
     if (client) {
       this.stats.totalClientDisconnections++;
+      clearTimeout(client.lag.timer);
+      client.archiveId = null;
       this.clients.delete(ws);
     }
 
-    // Keep the tail process running even if no clients remain
-    // The process will be stopped only on server shutdown
+    // Keep the tailers running even if no clients remain
+    // They will be stopped only on server shutdown
+  }
+
+  // Tailers currently reading, one per source that is not down
+  get tailers() {
+    return this.supervisors.map(supervisor => supervisor.tailer).filter(Boolean);
   }
 
   startTailProcess() {
     if (this.isStarted) return;
+    
+    this.isStarted = true;
+    this.alerts.start();
+    this.scheduleRatesBroadcast();
+    this.supervisors = this.sources.map(source => {
+      const supervisor = new SourceSupervisor(source, this.tailOptions);
+      
+      supervisor.on('entries', (entries, bytes) => this.ingestEntries(entries, bytes, source.name));
+      supervisor.on('state', change => this.handleSourceState(supervisor, change));
+      return supervisor;
+    });
 
-    // First, read the last 5000 lines from existing log files to populate stored logs
-    const initialRead = spawn('bash', ['-c',
-      `find /mnt/vhosts/*/logs/ -type f ! -name "*.gz" -exec tail -n 100 {} + | tail -n ${this.MAX_STORED_LOGS} | ts '[%Y-%m-%d %H:%M:%S]'`
-    ]);
+    // First, warm the in-memory buffer from the on-disk store and read the configured history
+    // depth of every source; files saved in the checkpoint continue where they left off
+    // instead. Then start following all sources for new lines
+    const checkpoint = this.store ? this.store.loadCheckpoint() : {};
+    const warmUp = this.store ? this.store.readTail(this.MAX_STORED_LOGS) : Promise.resolve([]);
+    warmUp
+      .then((storedEntries) => {
+        this.storeLogs(storedEntries);
+        if (storedEntries.length > 0) {
+          this.lastEntryTime = storedEntries[storedEntries.length - 1].time;
+        }
+        return Promise.all(this.supervisors.map(supervisor => supervisor.readHistory(checkpoint[supervisor.source.name])));
+      })
+      .then((histories) => {
+        histories.forEach((entries, index) => this.countIngested(this.supervisors[index].source.name, entries.length, 0));
+        const processedEntries = histories.flat().slice(-this.MAX_STORED_LOGS).map(entry => this.processEntry(entry));
+        this.appendToStore(processedEntries);
+        this.storeLogs(processedEntries);
+        
+        if (this.isStarted) {
+          this.supervisors.forEach(supervisor => supervisor.follow());
+          Logger.info('Following log sources', {
+            sources: this.sources.map(source => source.name),
+            trackedFiles: this.getTrackedFileCount(),
+            storedLogsCount: this.storedLogs.length
+          });
+          
+          if (this.store) {
+            this.saveCheckpoint();
+            this.checkpointInterval = setInterval(() => this.saveCheckpoint(), 5000);
+          }
+        }
+      })
+      .catch((error) => {
+        Logger.error('Failed to read log history', { error: error.message });
+      });
+  }
 
-    initialRead.stdout.on('data', (data) => {
-      const logData = data.toString().trim();
-      if (!logData) return;
-      
-      const logLines = logData.split('\n').filter(line => line.trim());
-      const obfuscatedLines = logLines.map(line => obfuscateIPAddresses(line));
-      
-      // Add to stored logs
-      this.storedLogs.push(...obfuscatedLines);
-      if (this.storedLogs.length > this.MAX_STORED_LOGS) {
-        const excess = this.storedLogs.length - this.MAX_STORED_LOGS;
-        this.storedLogs.splice(0, excess);
+  // Outages and recoveries are logged and announced to the clients allowed to see the source;
+  // the ordinary startup and shutdown transitions are not
+  handleSourceState(supervisor, { state, previousState, reason }) {
+    const isProblem = state === 'down' || state === 'stalled';
+    const isRecovery = state === 'running' && (previousState === 'down' || previousState === 'stalled');
+    if (!isProblem && !isRecovery) return;
+    
+    const status = supervisor.getStatus();
+    const details = {
+      source: status.name,
+      state,
+      previousState,
+      reason,
+      restarts: status.restarts,
+      retryInMs: status.retryInMs
+    };
+    if (isProblem) {
+      Logger.warn('Log source unavailable', details);
+    } else {
+      Logger.info('Log source recovered', details);
+    }
+    
+    for (const client of this.clients.values()) {
+      if (client.protocol === PROTOCOL_VERSION && (!client.access || client.access.allowsSource(status.name))) {
+        this.sendMessage(client, { type: 'source-status', time: new Date().toISOString(), ...details });
       }
-    });
+    }
+  }
+
+  // Shortly after every full second, send protocol clients that second's counts, so their
+  // rate chart moves on even while nothing is logged
+  scheduleRatesBroadcast() {
+    const now = Date.now();
+    this.ratesTimer = setTimeout(() => {
+      const time = Date.now();
+      const second = time - time % 1000 - 1000;
+      const groups = this.rates.getGroups('second', second);
+      for (const client of this.clients.values()) {
+        if (client.protocol === PROTOCOL_VERSION) {
+          this.sendMessage(client, {
+            type: 'timeseries',
+            resolution: 'second',
+            buckets: [this.rates.project(second, groups, client.access)]
+          });
+        }
+      }
+      this.scheduleRatesBroadcast();
+    }, 1000 - now % 1000 + 100);
+  }
+
+  broadcastAlert(event, alert) {
+    for (const client of this.clients.values()) {
+      if (client.protocol === PROTOCOL_VERSION && isAlertVisible(alert, client.access)) {
+        this.sendMessage(client, { type: 'alert', event, alert });
+      }
+    }
+  }
+
+  getSourceStatuses() {
+    return this.supervisors.map(supervisor => supervisor.getStatus());
+  }
+
+  countIngested(sourceName, lines, bytes) {
+    this.totals.linesIngested.set(sourceName, (this.totals.linesIngested.get(sourceName) || 0) + lines);
+    this.totals.bytesRead.set(sourceName, (this.totals.bytesRead.get(sourceName) || 0) + bytes);
+  }
+
+  ingestEntries(entries, bytes, sourceName) {
+    // Update stats
+    this.stats.totalBytesProcessed += bytes;
+    this.countIngested(sourceName, entries.length, bytes);
+    
+    // Store logs server-side for new clients
+    const processedEntries = entries.map(entry => this.processEntry(entry));
+    
+    this.stats.totalMessagesProcessed += processedEntries.length;
+    this.appendToStore(processedEntries);
+    this.storeLogs(processedEntries);
+    this.rates.add(processedEntries);
+    this.alerts.evaluate(processedEntries);
+    
+    // Add to buffer for broadcasting to existing clients
+    this.messageBuffer.push(...processedEntries);
+    
+    // Send buffer when it's full or after timeout
+    if (this.messageBuffer.length >= this.BUFFER_SIZE) {
+      clearTimeout(this.bufferTimeout);
+      this.broadcastBufferedMessages();
+    } else if (!this.bufferTimeout) {
+      this.bufferTimeout = setTimeout(() => this.broadcastBufferedMessages(), this.BUFFER_DELAY);
+    }
+  }
+
+  // Redact, then parse the redacted line so parsed fields never hold what was removed.
+  // Entries are { seq, time, line, source, fields } where source is the shared metadata of
+  // the file. Times never go backwards so the store can search them in order
+  processEntry(entry) {
+    const line = this.redactor.redact(entry.line, entry.source.name);
+    this.lastEntryTime = Math.max(this.lastEntryTime, entry.time);
+    return {
+      seq: this.nextSeq++,
+      time: this.lastEntryTime,
+      line,
+      source: entry.source,
+      fields: this.parseLine(line, entry.source)
+    };
+  }
+  
+  parseLine(line, meta) {
+    return parseLogLine(line, meta.kind, this.responseTimeUnits.get(meta.name));
+  }
+
+  appendToStore(entries) {
+    if (!this.store) return;
+    
+    try {
+      this.store.append(entries);
+    } catch (error) {
+      // Keep streaming when the disk is full or unwritable; only the persisted copy suffers
+      if (error.message !== this.lastStoreError) {
+        Logger.error('Failed to write history store', { error: error.message, code: error.code });
+        this.lastStoreError = error.message;
+      }
+    }
+  }
+
+  saveCheckpoint() {
+    const checkpoint = {};
+    for (const supervisor of this.supervisors) {
+      checkpoint[supervisor.source.name] = supervisor.getCheckpoint();
+    }
+    
+    try {
+      this.store.saveCheckpoint(checkpoint);
+    } catch (error) {
+      Logger.error('Failed to save tail checkpoint', { error: error.message, code: error.code });
+    }
+  }
+
+  // Matching entries within a time window, oldest first, in batches; read from the on-disk
+  // store when enabled, from the in-memory buffer otherwise
+  async *queryLogs({ since = null, until = null, afterSeq = 0, sources = null, filter = null } = {}) {
+    const bounds = { afterSeq, since: since ?? -Infinity, until: until ?? Infinity };
+    const batches = this.store ? this.store.read(bounds) : this.readStoredLogs(bounds);
+    
+    for await (const batch of batches) {
+      const fromSources = sources ? batch.filter(entry => sources.has(entry.source.name)) : batch;
+      const matches = filter ? filter(fromSources) : fromSources;
+      if (matches.length > 0) {
+        yield matches;
+      }
+    }
+  }
 
-    initialRead.on('close', () => {
-      // Now start the live tail process
-      this.tail = spawn('bash', ['-c',
-        `find /mnt/vhosts/*/logs/ -type f ! -name "*.gz" -exec tail -f -n 0 {} + | ts '[%Y-%m-%d %H:%M:%S]'`
-      ]);
+  *readStoredLogs({ afterSeq, since, until }) {
+    const entries = this.storedLogs
+      .slice(this.findStoredIndexAfter(afterSeq))
+      .filter(entry => entry.time >= since && entry.time <= until);
+    
+    for (let start = 0; start < entries.length; start += STORE_READ_BATCH_SIZE) {
+      yield entries.slice(start, start + STORE_READ_BATCH_SIZE);
+    }
+  }
 
-      this.isStarted = true;
+  clampQueryLimit(limit) {
+    const value = Number.isInteger(limit) ? limit : parseInt(limit, 10);
+    if (!Number.isFinite(value) || value <= 0) {
+      return this.CLIENT_HISTORY_LIMIT;
+    }
+    return Math.min(value, this.MAX_QUERY_LIMIT);
+  }
 
-      this.tail.stdout.on('data', (data) => {
-        const logData = data.toString().trim();
-        if (!logData) return;
-        
-        // Update stats
-        this.stats.totalBytesProcessed += Buffer.byteLength(logData);
-        
-        // Store logs server-side for new clients
-        const logLines = logData.split('\n').filter(line => line.trim());
-        const obfuscatedLines = logLines.map(line => obfuscateIPAddresses(line));
-        
-        this.stats.totalMessagesProcessed += obfuscatedLines.length;
-        
-        // Add to stored logs with size limit
-        this.storedLogs.push(...obfuscatedLines);
-        if (this.storedLogs.length > this.MAX_STORED_LOGS) {
-          const excess = this.storedLogs.length - this.MAX_STORED_LOGS;
-          this.storedLogs.splice(0, excess);
-        }
-        
-        // Add to buffer for broadcasting to existing clients
-        this.messageBuffer.push(...obfuscatedLines);
-        
-        // Send buffer when it's full or after timeout
-        if (this.messageBuffer.length >= this.BUFFER_SIZE) {
-          clearTimeout(this.bufferTimeout);
-          this.broadcastBufferedMessages();
-        } else if (!this.bufferTimeout) {
-          this.bufferTimeout = setTimeout(() => this.broadcastBufferedMessages(), this.BUFFER_DELAY);
-        }
-      });
+  // Index of the first stored entry with a sequence id greater than seq
+  findStoredIndexAfter(seq) {
+    let low = 0;
+    let high = this.storedLogs.length;
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+      if (this.storedLogs[middle].seq <= seq) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  }
 
-      this.tail.stderr.on('data', (data) => {
-        // Only log critical errors, not routine stderr output
-        const errorText = data.toString();
-        if (errorText.includes('No such file') || errorText.includes('Permission denied') || errorText.includes('fatal')) {
-          Logger.error('Critical tail process error', { 
-            error: errorText,
-            pid: this.tail.pid
-          });
+  // An in-memory entry with up to `before` and `after` lines of its source file around it,
+  // or null when it is gone or not visible with the access rule
+  getContext(seq, before, after, access) {
+    const index = this.findStoredIndexAfter(seq - 1);
+    const entry = this.storedLogs[index];
+    if (!entry || entry.seq !== seq || (access && !access.allows(entry))) {
+      return null;
+    }
+    
+    const isNeighbour = (candidate) => candidate.source.name === entry.source.name &&
+      candidate.source.file === entry.source.file && (!access || access.allows(candidate));
+    const collect = (from, step, count) => {
+      const lines = [];
+      for (let i = from; i >= 0 && i < this.storedLogs.length && lines.length < count; i += step) {
+        if (isNeighbour(this.storedLogs[i])) {
+          lines.push(this.storedLogs[i]);
         }
-      });
+      }
+      return lines;
+    };
+    
+    return { entry, before: collect(index - 1, -1, before).reverse(), after: collect(index + 1, 1, after) };
+  }
 
-      this.tail.on('close', (code, signal) => {
-        Logger.warn('Global log tail process closed', { 
-          code, 
-          signal, 
-          pid: this.tail.pid,
-          clientCount: this.clients.size
-        });
-        this.isStarted = false;
-      });
+  // Add to stored logs with size limit
+  storeLogs(entries) {
+    this.storedLogs.push(...entries);
+    if (this.storedLogs.length > this.MAX_STORED_LOGS) {
+      const excess = this.storedLogs.length - this.MAX_STORED_LOGS;
+      this.storedLogs.splice(0, excess);
+    }
+  }
 
-      this.tail.on('error', (error) => {
-        Logger.error('Global log tail process error', { 
-          error: error.message,
-          pid: this.tail.pid,
-          clientCount: this.clients.size
-        });
-        this.isStarted = false;
-      });
-    });
+  getTrackedFileCount() {
+    return this.tailers.reduce((count, tailer) => count + tailer.files.size, 0);
   }
 
   stopTailProcess() {
-    if (!this.isStarted || !this.tail) return;
+    if (!this.isStarted) return;
 
+    this.alerts.stop();
+    clearTimeout(this.ratesTimer);
+    this.ratesTimer = null;
     clearTimeout(this.bufferTimeout);
     this.bufferTimeout = null;
+    clearInterval(this.checkpointInterval);
+    this.checkpointInterval = null;
+    if (this.store) {
+      this.saveCheckpoint();
+    }
 
-    if (!this.tail.killed) {
-      this.tail.kill();
+    for (const supervisor of this.supervisors) {
+      supervisor.stop();
+    }
+    
+    if (this.store) {
+      this.store.close();
     }
 
     this.isStarted = false;
-    this.tail = null;
+    this.supervisors = [];
     this.messageBuffer = [];
     this.stopStatsReporting();
-    // Keep stored logs even when tail process stops for immediate client serving
+    // Keep stored logs even when the tailers stop for immediate client serving
   }
 
-  sendLogHistoryToClient(client) {
-    if (this.storedLogs.length === 0) {
+  // History is framed as history-begin, history-chunk messages and history-end, all tagged
+  // with the search they belong to so clients can drop frames of a superseded search.
+  // With resumeFrom the history holds exactly the matching entries after that sequence id,
+  // preceded by a gap message when some of them are no longer stored
+  sendLogHistoryToClient(client, reason, resumeFrom = null) {
+    // The history covers whatever live entries were still waiting for a slow client
+    client.lag.pending = [];
+    
+    const oldestMemorySeq = this.storedLogs.length > 0 ? this.storedLogs[0].seq : this.nextSeq;
+    if (resumeFrom !== null && this.store && resumeFrom + 1 < oldestMemorySeq) {
+      this.sendStoredHistoryToClient(client, resumeFrom).catch((error) => {
+        Logger.error('Failed to read history store for resume', { error: error.message });
+        this.sendError(client, 'history', `Could not read stored history: ${error.message}`, { searchId: client.searchId });
+      });
       return;
     }
-
+    
     // If there's a text search filter, we need to search through more logs
     // to find up to 1,000 matching results
     let filteredLogs;
-    if (client.textSearch) {
+    let gap = null;
+    if (resumeFrom !== null) {
+      if (resumeFrom + 1 < oldestMemorySeq) {
+        gap = { fromSeq: resumeFrom + 1, toSeq: oldestMemorySeq - 1, count: oldestMemorySeq - 1 - resumeFrom };
+      }
+      filteredLogs = this.filterHistoryForClient(client, this.storedLogs.slice(this.findStoredIndexAfter(resumeFrom)));
+    } else if (client.searchFilter || client.access || client.sources) {
       // Filter all stored logs first, then take the last 1,000 matches
-      const allFilteredLogs = this.filterLogsForClient(client, this.storedLogs);
-      filteredLogs = allFilteredLogs.slice(-this.CLIENT_HISTORY_LIMIT);
+      filteredLogs = this.filterHistoryForClient(client, this.storedLogs, this.CLIENT_HISTORY_LIMIT);
     } else {
       // No filter - send the last 1,000 logs (or all available if less than 1,000)
       const logsToSend = this.storedLogs.slice(-this.CLIENT_HISTORY_LIMIT);
       filteredLogs = this.filterLogsForClient(client, logsToSend);
     }
     
-    if (filteredLogs.length === 0) {
-      // Send empty response to signal history is complete
-      if (client.ws.readyState === WebSocket.OPEN) {
+    const searchId = client.searchId;
+    this.sendMessage(client, { type: 'history-begin', searchId, reason, resumeFrom, count: filteredLogs.length });
+    if (gap) {
+      this.sendMessage(client, { type: 'gap', searchId, ...gap });
+    }
+    
+    this.sendHistoryChunks(client, searchId, filteredLogs);
+    this.sendMessage(client, { type: 'history-end', searchId, count: filteredLogs.length, lastSeq: this.nextSeq - 1 });
+  }
+
+  sendHistoryChunks(client, searchId, entries) {
+    let dataSize = 0;
+    
+    // Legacy clients expect the whole history in one frame
+    const chunkSize = client.protocol === PROTOCOL_VERSION ? HISTORY_CHUNK_SIZE : Math.max(entries.length, 1);
+    for (let start = 0; start < entries.length; start += chunkSize) {
+      dataSize += this.sendMessage(client, {
+        type: 'history-chunk',
+        searchId,
+        entries: entries.slice(start, start + chunkSize)
+      });
+    }
+    
+    client.messagesSent += entries.length;
+    client.totalBytesSent += dataSize;
+    
+    // Update stats
+    this.stats.totalMessagesSent += entries.length;
+    this.stats.totalBytesSent += dataSize;
+    this.totals.linesSent += entries.length;
+    this.totals.bytesSent += dataSize;
+  }
+
+  // Resume from further back than the in-memory buffer reaches: the missed entries are read
+  // from the on-disk store up to where the buffer takes over. Live batches arriving
+  // meanwhile are held back by the client until history-end
+  async sendStoredHistoryToClient(client, resumeFrom) {
+    const searchId = client.searchId;
+    const lastSeq = this.nextSeq - 1;
+    const memoryLogs = this.storedLogs.slice();
+    const oldestMemorySeq = memoryLogs.length > 0 ? memoryLogs[0].seq : this.nextSeq;
+    const oldestStoredSeq = this.store.firstSeq ?? oldestMemorySeq;
+    const isCurrent = () => this.clients.get(client.ws) === client && client.searchId === searchId;
+    // Live batches keep using the client's context state meanwhile
+    const contextState = createContextState();
+    
+    // Very long absences resume from a bounded window; anything older is reported as a gap
+    const readFrom = Math.max(resumeFrom, lastSeq - this.MAX_RESUME_ENTRIES, oldestStoredSeq - 1);
+    this.sendMessage(client, { type: 'history-begin', searchId, reason: 'resume', resumeFrom, count: null });
+    if (readFrom > resumeFrom) {
+      this.sendMessage(client, { type: 'gap', searchId, fromSeq: resumeFrom + 1, toSeq: readFrom, count: readFrom - resumeFrom });
+    }
+    
+    let count = 0;
+    for await (const batch of this.store.read({ afterSeq: readFrom })) {
+      if (!isCurrent()) return;
+      
+      const missed = batch.filter(entry => entry.seq < oldestMemorySeq);
+      const filteredLogs = this.filterLogsForClient(client, missed, contextState);
+      this.sendHistoryChunks(client, searchId, filteredLogs);
+      count += filteredLogs.length;
+      
+      if (missed.length < batch.length) break;
+    }
+    if (!isCurrent()) return;
+    
+    const filteredLogs = this.filterLogsForClient(client, memoryLogs.filter(entry => entry.seq > readFrom), contextState);
+    this.sendHistoryChunks(client, searchId, filteredLogs);
+    count += filteredLogs.length;
+    
+    this.sendMessage(client, { type: 'history-end', searchId, count, lastSeq });
+  }
+
+  // Time-range queries run with the client's current search; a new query cancels the
+  // previous one
+  async runClientQuery(client, request, requestId) {
+    let since;
+    let until;
+    try {
+      since = parseTimeParam(request.since, 'since');
+      until = parseTimeParam(request.until, 'until');
+    } catch (error) {
+      this.sendError(client, 'query', error.message, { id: requestId });
+      return;
+    }
+    
+    const limit = this.clampQueryLimit(request.limit);
+    const contextState = createContextState();
+    const filter = (entries) => this.filterLogsForClient(client, entries, contextState);
+    const isCurrent = () => this.clients.get(client.ws) === client && client.queryId === requestId;
+    client.queryId = requestId;
+    
+    this.sendMessage(client, { type: 'query-begin', id: requestId, since, until, limit });
+    
+    let count = 0;
+    let truncated = false;
+    try {
+      for await (const batch of this.queryLogs({ since, until, filter })) {
+        if (!isCurrent()) return;
+        
+        const entries = batch.slice(0, limit - count);
+        count += entries.length;
+        this.sendMessage(client, { type: 'query-chunk', id: requestId, entries });
+        
+        if (count >= limit) {
+          truncated = true;
+          break;
+        }
+      }
+    } catch (error) {
+      Logger.error('Range query failed', { error: error.message, clientAddress: client.clientInfo.remoteAddress });
+      this.sendError(client, 'query', `Query failed: ${error.message}`, { id: requestId });
+      return;
+    }
+    
+    if (isCurrent()) {
+      this.sendMessage(client, { type: 'query-end', id: requestId, count, truncated });
+    }
+  }
+
+  // Search the rotated files of one source over a time range, with the client's current
+  // search. Lines get the same redaction and parsing as live ones and are sent as they are
+  // found, with progress in between. Scans share a few slots and yield to the live stream
+  // after every batch; a new archive search or cancelArchiveSearch stops the running one
+  async runArchiveSearch(client, request, requestId) {
+    const source = this.sources.find(candidate => candidate.name === request.source);
+    if (!source || (client.access && !client.access.allowsSource(source.name))) {
+      this.sendError(client, 'archive', `Unknown source "${request.source}"`, { id: requestId });
+      return;
+    }
+    
+    let since;
+    let until;
+    try {
+      since = parseTimeParam(request.since, 'since');
+      until = parseTimeParam(request.until, 'until');
+    } catch (error) {
+      this.sendError(client, 'archive', error.message, { id: requestId });
+      return;
+    }
+    
+    const limit = this.clampQueryLimit(request.limit);
+    const isCurrent = () => this.clients.get(client.ws) === client && client.archiveId === requestId;
+    client.archiveId = requestId;
+    
+    // The file count and size follow in the first progress report, since listing the
+    // archives walks directories too and so waits for a scan slot as well
+    this.sendMessage(client, {
+      type: 'archive-begin',
+      id: requestId,
+      source: source.name,
+      since,
+      until,
+      limit,
+      files: null,
+      totalBytes: null,
+      queued: this.archiveScans.isFull()
+    });
+    
+    await this.archiveScans.acquire();
+    const files = [];
+    const progress = { id: requestId, file: null, filesDone: 0, files: 0, bytesRead: 0, totalBytes: 0, count: 0 };
+    let truncated = false;
+    let lastProgressAt = Date.now();
+    const sendProgress = (force) => {
+      if (force || Date.now() - lastProgressAt >= ARCHIVE_PROGRESS_INTERVAL_MS) {
+        lastProgressAt = Date.now();
+        this.sendMessage(client, { type: 'archive-progress', ...progress });
+      }
+    };
+    
+    try {
+      // A file last written before the range holds nothing in it
+      for (const filePath of await discoverSourceFiles(source, { archives: true })) {
+        if (!isCurrent()) break;
+        try {
+          const stat = await fs.promises.stat(filePath);
+          if (since === null || stat.mtimeMs >= since) {
+            files.push({ path: filePath, size: stat.size, mtime: stat.mtimeMs });
+          }
+        } catch (error) {
+          // Removed by rotation meanwhile
+        }
+      }
+      files.sort((a, b) => a.mtime - b.mtime);
+      
+      progress.files = files.length;
+      progress.totalBytes = files.reduce((total, file) => total + file.size, 0);
+      sendProgress(true);
+      
+      const contextState = createContextState();
+      for (const file of files) {
+        if (!isCurrent() || truncated) break;
+        
+        progress.file = file.path;
+        sendProgress(true);
+        const bytesBefore = progress.bytesRead;
+        const meta = describeLogFile(source, file.path);
+        const clock = { time: null, fallback: file.mtime };
+        
         try {
-          client.ws.send('');
+          for await (const { lines, bytesRead } of readArchiveLines(file.path)) {
+            if (!isCurrent()) break;
+            
+            const { entries, pastRange } = this.createArchiveEntries(meta, lines, clock, since, until);
+            const batch = this.filterLogsForClient(client, entries, contextState).slice(0, limit - progress.count);
+            if (batch.length > 0) {
+              this.sendMessage(client, { type: 'archive-chunk', id: requestId, entries: batch });
+              progress.count += batch.length;
+            }
+            progress.bytesRead = bytesBefore + bytesRead;
+            sendProgress(false);
+            
+            if (progress.count >= limit) {
+              truncated = true;
+            }
+            if (truncated || pastRange) break;
+            
+            // Let live batches through and wait for the client to take what it was sent
+            await yieldToEventLoop();
+            while (isCurrent() && client.ws.bufferedAmount > this.backpressure.maxQueueBytes) {
+              await delay(LAG_CHECK_INTERVAL_MS);
+            }
+          }
         } catch (error) {
-          // Silent fail for empty response
+          // A damaged archive should not end the whole search
+          Logger.warn('Could not read archived log file', { file: file.path, error: error.message });
+          this.sendError(client, 'archive', `Could not read ${file.path}: ${error.message}`, { id: requestId, file: file.path });
+        }
+        
+        if (isCurrent() && !truncated) {
+          progress.filesDone++;
+          progress.bytesRead = bytesBefore + file.size;
         }
       }
+    } catch (error) {
+      Logger.error('Archive search failed', { error: error.message, clientAddress: client.clientInfo.remoteAddress });
+      this.sendError(client, 'archive', `Archive search failed: ${error.message}`, { id: requestId });
       return;
+    } finally {
+      this.archiveScans.release();
+    }
+    
+    sendProgress(true);
+    this.sendMessage(client, {
+      type: 'archive-end',
+      id: requestId,
+      count: progress.count,
+      truncated,
+      cancelled: !isCurrent(),
+      filesScanned: progress.filesDone
+    });
+    if (isCurrent()) {
+      client.archiveId = null;
     }
+  }
+
+  // Entries for lines of one archived file, redacted and parsed like live ones. Their time
+  // is the one the line itself carries; lines without one take the time of the line before
+  // (of the next one, at the start of the file, or the file's mtime failing that).
+  // pastRange is set once a line is clearly beyond until, as the rest of the file is too
+  createArchiveEntries(meta, lines, clock, since, until) {
+    const parsed = lines.map((raw) => {
+      const line = this.redactor.redact(raw, meta.name);
+      const fields = this.parseLine(line, meta);
+      const time = fields && fields.timestamp ? Date.parse(fields.timestamp) : NaN;
+      return { line, fields, time: Number.isNaN(time) ? null : time };
+    });
     
-    const historicalData = filteredLogs.join('\n');
-    const dataSize = Buffer.byteLength(historicalData, 'utf8');
+    if (clock.time === null) {
+      const firstTimed = parsed.find(item => item.time !== null);
+      clock.time = firstTimed ? firstTimed.time : null;
+    }
     
-    if (client.ws.readyState === WebSocket.OPEN) {
-      try {
-        client.ws.send(historicalData);
-        client.messagesSent += filteredLogs.length;
-        client.totalBytesSent += dataSize;
-        
-        // Update stats
-        this.stats.totalMessagesSent += filteredLogs.length;
-        this.stats.totalBytesSent += dataSize;
-      } catch (error) {
-        Logger.error('Failed to send filtered log history to client', {
-          error: error.message,
-          clientAddress: client.clientInfo.remoteAddress
+    const entries = [];
+    let pastRange = false;
+    for (const item of parsed) {
+      if (item.time !== null) {
+        clock.time = item.time;
+      }
+      const time = clock.time ?? clock.fallback;
+      if (until !== null && time > until + ARCHIVE_TIME_SLACK_MS) {
+        pastRange = true;
+        break;
+      }
+      if ((since === null || time >= since) && (until === null || time <= until)) {
+        entries.push({
+          time,
+          line: `${formatLineTimestamp(new Date(time))} ${item.line}`,
+          source: meta,
+          fields: item.fields,
+          archive: true
         });
       }
     }
+    return { entries, pastRange };
   }
 
-  updateClientTextSearch(ws, textSearch) {
+  // searchId is the id of the client's request; clients sending one always get a fresh
+  // history for it, legacy clients only when the search actually changed.
+  // resumeFrom asks for only the entries after that sequence id instead
+  updateClientTextSearch(ws, textSearch, options = {}, searchId = null, resumeFrom = null) {
     const client = this.clients.get(ws);
     if (client) {
-      const oldTextSearch = client.textSearch;
+      const oldSearchKey = JSON.stringify([client.textSearch, client.searchOptions, client.context, client.sources]);
       
       client.textSearch = textSearch || '';
-      client.textSearchLowerCase = client.textSearch.toLowerCase();
+      client.searchOptions = {
+        mode: SEARCH_MODES.includes(options.mode) ? options.mode : 'text',
+        caseSensitive: options.caseSensitive === true,
+        wholeWord: options.wholeWord === true
+      };
+      client.context = {
+        before: clampContextLines(options.contextBefore, this.searchOptions.maxContextLines),
+        after: clampContextLines(options.contextAfter, this.searchOptions.maxContextLines)
+      };
+      client.sources = Array.isArray(options.sources) && options.sources.length > 0
+        ? options.sources.filter(name => typeof name === 'string').sort()
+        : null;
       
-      // Only send filtered history if text search actually changed
-      if (oldTextSearch !== client.textSearch) {
-        this.sendLogHistoryToClient(client);
+      const searchChanged = oldSearchKey !== JSON.stringify([client.textSearch, client.searchOptions, client.context, client.sources]);
+      if (searchId !== null) {
+        client.searchId = searchId;
+      }
+      if (searchChanged) {
+        client.searchFilter = this.compileClientSearch(client);
+      }
+      if (resumeFrom !== null) {
+        this.sendLogHistoryToClient(client, 'resume', resumeFrom);
+      } else if (searchChanged || searchId !== null) {
+        this.sendLogHistoryToClient(client, 'search');
       }
       
       return true;
@@ -332,33 +4665,332 @@ class LogBroadcaster {
     return false;
   }
 
-  // Apply server-side filtering to log lines
-  filterLogsForClient(client, logLines) {
-    let filtered = logLines;
+  // Build the function filtering a batch of entries for the client's search. Query syntax
+  // errors fall back to a plain substring search, invalid regexes match nothing; either
+  // way the client is told what went wrong
+  compileClientSearch(client) {
+    const { textSearch, searchOptions } = client;
+    
+    try {
+      const filter = createSearchFilter(textSearch, searchOptions, this.searchOptions);
+      return filter && ((entries) => this.runClientFilter(client, filter, entries));
+    } catch (error) {
+      if (error instanceof SearchPatternError) {
+        this.sendSearchError(client, error.message, null, 'none');
+        return () => [];
+      }
+      if (!(error instanceof QueryParseError)) throw error;
+      
+      this.sendSearchError(client, error.message, error.position, 'literal');
+      const matcher = compileTextTerm(textSearch, searchOptions);
+      return (entries) => entries.filter(matcher);
+    }
+  }
+
+  runClientFilter(client, filter, entries) {
+    try {
+      return filter(entries);
+    } catch (error) {
+      if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw error;
+      
+      // Disable the pattern for good rather than paying the time budget on every batch
+      Logger.warn('Regex search exceeded its time budget and was disabled', {
+        pattern: client.textSearch.substring(0, 100),
+        timeoutMs: this.searchOptions.regexTimeoutMs,
+        linesTested: entries.length,
+        clientAddress: client.clientInfo.remoteAddress
+      });
+      client.searchFilter = () => [];
+      this.sendSearchError(client, `Pattern took longer than ${this.searchOptions.regexTimeoutMs}ms (catastrophic backtracking?) and was disabled`, null, 'none');
+      return [];
+    }
+  }
+
+  sendSearchError(client, message, position, fallback) {
+    this.sendError(client, 'search', message, {
+      searchId: client.searchId,
+      query: client.textSearch,
+      mode: client.searchOptions.mode,
+      position,
+      fallback
+    });
+  }
+
+  sendError(client, code, message, details = {}) {
+    this.sendMessage(client, { type: 'error', code, message, ...details });
+  }
+
+  // Send a protocol message, translated for legacy clients. Returns the bytes sent
+  sendMessage(client, message) {
+    if (client.ws.readyState !== WebSocket.OPEN) {
+      return 0;
+    }
+    
+    const data = client.protocol === PROTOCOL_VERSION ? JSON.stringify(message) : toLegacyFrame(message);
+    if (data === null) {
+      return 0;
+    }
+    
+    try {
+      if (client.clientInfo.transport === 'sse') {
+        // Messages completing delivery up to a sequence id become resume points
+        const isResumePoint = message.type === 'batch' || message.type === 'history-end';
+        client.ws.send(data, isResumePoint ? `${this.streamId}:${message.lastSeq}` : null);
+      } else {
+        client.ws.send(data);
+      }
+      return Buffer.byteLength(data, 'utf8');
+    } catch (error) {
+      // Only log repeated client send failures if they're different errors
+      if (error.message !== client.lastErrorMessage) {
+        Logger.error('Failed to send message to client', {
+          error: error.message,
+          messageType: message.type,
+          clientAddress: client.clientInfo.remoteAddress
+        });
+        client.lastErrorMessage = error.message;
+      }
+      return 0;
+    }
+  }
+
+  // Handle a parsed message from the client, acknowledging requests that carry an id
+  handleClientMessage(ws, data) {
+    const client = this.clients.get(ws);
+    if (!client) return;
+    
+    const requestId = Number.isInteger(data.id) ? data.id : null;
     
-    // Apply text search filter if present
-    if (client.textSearch) {
-      const textSearchFiltered = [];
-      for (const line of filtered) {
-        if (line.toLowerCase().includes(client.textSearchLowerCase)) {
-          textSearchFiltered.push(line);
+    switch (data.type) {
+      case 'setTextSearch': {
+        if (requestId !== null) {
+          this.sendMessage(client, { type: 'ack', id: requestId, request: data.type });
         }
+        
+        // Regex patterns are taken verbatim
+        const isRegex = data.mode === 'regex';
+        const textSearchValue = typeof data.value === 'string' ? (isRegex ? data.value : data.value.trim()) : '';
+        
+        // Sequence ids only mean something within the stream they came from
+        const canResume = Number.isInteger(data.resumeFrom) && data.resumeFrom >= 0 && data.streamId === this.streamId;
+        this.updateClientTextSearch(ws, textSearchValue, {
+          mode: data.mode,
+          caseSensitive: data.caseSensitive,
+          wholeWord: data.wholeWord,
+          contextBefore: data.contextBefore,
+          contextAfter: data.contextAfter,
+          sources: data.sources
+        }, requestId, canResume ? data.resumeFrom : null);
+        break;
       }
-      filtered = textSearchFiltered;
+      case 'query':
+        if (requestId !== null) {
+          this.sendMessage(client, { type: 'ack', id: requestId, request: data.type });
+        }
+        this.runClientQuery(client, data, requestId);
+        break;
+      case 'cancelQuery':
+        client.queryId = null;
+        break;
+      case 'archiveSearch':
+        if (requestId !== null) {
+          this.sendMessage(client, { type: 'ack', id: requestId, request: data.type });
+        }
+        this.runArchiveSearch(client, data, requestId);
+        break;
+      case 'cancelArchiveSearch':
+        client.archiveId = null;
+        break;
+      default:
+        this.sendError(client, 'unknown-request', `Unknown message type "${data.type}"`, { id: requestId });
+    }
+  }
+
+  // Apply server-side filtering to log entries: first what the user may see at all and
+  // the sources they picked, then their search, with the context lines around the matches
+  // if the client asked for them. The context state defaults to the client's live one
+  filterLogsForClient(client, entries, contextState = client.contextState) {
+    let filtered = this.filterVisibleForClient(client, entries);
+    
+    // Apply search filter if present
+    if (client.searchFilter) {
+      const matches = client.searchFilter(filtered);
+      const hasContext = client.context.before > 0 || client.context.after > 0;
+      filtered = hasContext ? addSearchContext(filtered, matches, client.context, contextState) : matches;
     }
     
     return filtered;
   }
 
+  filterVisibleForClient(client, entries) {
+    let visible = entries;
+    if (client.access) {
+      visible = visible.filter(client.access.allows);
+    }
+    if (client.sources) {
+      visible = visible.filter(entry => client.sources.includes(entry.source.name));
+    }
+    return visible;
+  }
+
+  // History up to the live edge: the last `limit` matches with their context. Live batches
+  // continue the context from where the history ends
+  filterHistoryForClient(client, entries, limit = Infinity) {
+    client.contextState = createContextState();
+    if (!client.searchFilter || (client.context.before === 0 && client.context.after === 0)) {
+      return this.filterLogsForClient(client, entries).slice(-limit);
+    }
+    
+    // Matches before the cut-off only show up as context of later ones
+    const allowed = this.filterVisibleForClient(client, entries);
+    const matches = client.searchFilter(allowed);
+    const startSeq = matches.length > limit ? matches[matches.length - limit].seq : 0;
+    return addSearchContext(allowed, matches, client.context, client.contextState, startSeq);
+  }
+
+  createLagState() {
+    return {
+      mode: 'live', // 'lagging' or 'sampled' while the client's socket is backed up
+      since: null,
+      pending: [], // Live entries waiting for the socket to drain
+      lastSeq: 0, // Stream position the pending entries complete
+      skipped: 0, // Entries dropped since the client fell behind
+      sampleCounter: 0,
+      timer: null
+    };
+  }
+
+  sendBatch(client, entries, lastSeq) {
+    const dataSize = this.sendMessage(client, {
+      type: 'batch',
+      searchId: client.searchId,
+      lastSeq,
+      entries
+    });
+    if (dataSize === 0) return 0;
+    
+    client.messagesSent += entries.length;
+    client.totalBytesSent += dataSize;
+    
+    // Update stats
+    this.stats.totalMessagesSent += entries.length;
+    this.stats.totalBytesSent += dataSize;
+    this.totals.linesSent += entries.length;
+    this.totals.bytesSent += dataSize;
+    return dataSize;
+  }
+
+  // Live entries go straight out unless the client's socket is backed up. Then they wait
+  // until it drains, limited by the backpressure policy, so a slow client costs a bounded
+  // amount of memory
+  deliverBatch(client, entries, lastSeq) {
+    const lag = client.lag;
+    if (lag.mode === 'live' && client.ws.bufferedAmount <= this.backpressure.maxQueueBytes) {
+      this.sendBatch(client, entries, lastSeq);
+      return;
+    }
+    
+    if (lag.mode === 'live') {
+      lag.mode = this.backpressure.policy === 'sample' ? 'sampled' : 'lagging';
+      lag.since = Date.now();
+      Logger.warn('Client is falling behind', {
+        clientId: client.id,
+        clientAddress: client.clientInfo.remoteAddress,
+        queueBytes: client.ws.bufferedAmount,
+        policy: this.backpressure.policy
+      });
+      this.scheduleLagCheck(client);
+    }
+    
+    let kept = entries;
+    if (lag.mode === 'sampled') {
+      kept = entries.filter(() => lag.sampleCounter++ % this.backpressure.sampleEvery === 0);
+    }
+    lag.pending.push(...kept);
+    lag.lastSeq = lastSeq;
+    
+    let skipped = entries.length - kept.length;
+    if (lag.pending.length > this.backpressure.maxPendingLines) {
+      const excess = lag.pending.length - this.backpressure.maxPendingLines;
+      lag.pending.splice(0, excess);
+      skipped += excess;
+    }
+    lag.skipped += skipped;
+    this.totals.linesSkipped += skipped;
+  }
+
+  scheduleLagCheck(client) {
+    client.lag.timer = setTimeout(() => {
+      client.lag.timer = null;
+      this.checkLaggingClient(client);
+    }, LAG_CHECK_INTERVAL_MS);
+  }
+
+  // Once the socket has drained, report what was skipped and send what waited
+  checkLaggingClient(client) {
+    if (!this.clients.has(client.ws)) return;
+    
+    const lag = client.lag;
+    if (client.ws.bufferedAmount > this.backpressure.maxQueueBytes) {
+      const lagMs = Date.now() - lag.since;
+      if (this.backpressure.policy === 'disconnect' && lagMs > this.backpressure.disconnectAfterMs) {
+        Logger.warn('Disconnecting slow client', {
+          clientId: client.id,
+          clientAddress: client.clientInfo.remoteAddress,
+          queueBytes: client.ws.bufferedAmount,
+          lagMs,
+          skippedLines: lag.skipped
+        });
+        this.totals.slowDisconnects++;
+        // A close frame would wait behind the backed up data
+        if (typeof client.ws.terminate === 'function') {
+          client.ws.terminate();
+        } else {
+          client.ws.close();
+        }
+        return;
+      }
+      this.scheduleLagCheck(client);
+      return;
+    }
+    
+    if (lag.skipped > 0) {
+      this.sendMessage(client, {
+        type: 'skipped',
+        count: lag.skipped,
+        mode: lag.mode,
+        lagMs: Date.now() - lag.since
+      });
+    }
+    if (lag.pending.length > 0) {
+      this.sendBatch(client, lag.pending, lag.lastSeq);
+    }
+    Logger.info('Client caught up', {
+      clientId: client.id,
+      clientAddress: client.clientInfo.remoteAddress,
+      lagMs: Date.now() - lag.since,
+      skippedLines: lag.skipped
+    });
+    client.lag = this.createLagState();
+  }
+
+  getClientLag(client) {
+    const lag = client.lag;
+    return {
+      mode: lag.mode,
+      queueBytes: client.ws.bufferedAmount || 0,
+      pendingLines: lag.pending.length,
+      skippedLines: lag.skipped,
+      lagMs: lag.since === null ? 0 : Date.now() - lag.since
+    };
+  }
+
   broadcastBufferedMessages() {
     if (this.messageBuffer.length === 0) {
       this.bufferTimeout = null;
       return;
     }
 
-    let successfulSends = 0;
-    let totalBytesSent = 0;
-
     // Apply per-client filtering and send individually
     for (const [ws, client] of this.clients) {
       if (ws.readyState === WebSocket.OPEN) {
@@ -367,15 +4999,7 @@ class LogBroadcaster {
           const filteredLogs = this.filterLogsForClient(client, this.messageBuffer);
           
           if (filteredLogs.length > 0) {
-            const filteredData = filteredLogs.join('\n');
-            const filteredDataSize = Buffer.byteLength(filteredData, 'utf8');
-            
-            ws.send(filteredData);
-            client.messagesSent += filteredLogs.length;
-            client.totalBytesSent += filteredDataSize;
-            
-            totalBytesSent += filteredDataSize;
-            successfulSends++;
+            this.deliverBatch(client, filteredLogs, this.messageBuffer[this.messageBuffer.length - 1].seq);
           }
         } catch (error) {
           // Only log repeated client send failures if they're different errors
@@ -390,10 +5014,6 @@ class LogBroadcaster {
       }
     }
 
-    // Update stats
-    this.stats.totalMessagesSent += this.messageBuffer.length * successfulSends;
-    this.stats.totalBytesSent += totalBytesSent;
-    
     this.messageBuffer = [];
     this.bufferTimeout = null;
   }
@@ -404,22 +5024,43 @@ class LogBroadcaster {
       const timeSinceLastReset = now - this.stats.lastStatsReset;
       const secondsElapsed = timeSinceLastReset / 1000;
       
+      // Kept for the stats API until the next period
+      this.lastRates = {
+        messagesProcessedRate: Math.round(this.stats.totalMessagesProcessed / secondsElapsed * 10) / 10,
+        bytesProcessedRate: Math.round(this.stats.totalBytesProcessed / secondsElapsed / 1024 * 10) / 10, // KB/s
+        messagesSentRate: Math.round(this.stats.totalMessagesSent / secondsElapsed * 10) / 10,
+        bytesSentRate: Math.round(this.stats.totalBytesSent / secondsElapsed / 1024 * 10) / 10 // KB/s
+      };
+      
       // Only log if there's activity or clients connected
       if (this.clients.size > 0 || this.stats.totalMessagesProcessed > 0) {
         Logger.info('Periodic stats report', {
           activeClients: this.clients.size,
           storedLogsCount: this.storedLogs.length,
-          messagesProcessedRate: Math.round(this.stats.totalMessagesProcessed / secondsElapsed * 10) / 10,
-          bytesProcessedRate: Math.round(this.stats.totalBytesProcessed / secondsElapsed / 1024 * 10) / 10, // KB/s
+          ...this.lastRates,
           totalConnections: this.stats.totalClientConnections,
           totalDisconnections: this.stats.totalClientDisconnections,
-          messagesSentRate: Math.round(this.stats.totalMessagesSent / secondsElapsed * 10) / 10,
-          bytesSentRate: Math.round(this.stats.totalBytesSent / secondsElapsed / 1024 * 10) / 10, // KB/s
           tailProcessActive: this.isStarted,
-          uptimeSeconds: Math.round(secondsElapsed)
+          uptimeSeconds: Math.round(secondsElapsed),
+          redactions: this.redactor.getCounts()
         });
       }
       
+      // Per-client stats for protocol clients
+      for (const client of this.clients.values()) {
+        if (client.protocol === PROTOCOL_VERSION) {
+          this.sendMessage(client, {
+            type: 'stats',
+            activeClients: this.clients.size,
+            storedLogsCount: this.storedLogs.length,
+            messagesSent: client.messagesSent,
+            bytesSent: client.totalBytesSent,
+            tailProcessActive: this.isStarted,
+            lag: this.getClientLag(client)
+          });
+        }
+      }
+      
       // Reset counters for next period
       this.stats.totalMessagesProcessed = 0;
       this.stats.totalBytesProcessed = 0;
@@ -429,6 +5070,146 @@ class LogBroadcaster {
     }, 5000); // Every 5 seconds
   }
 
+  // Snapshot for the stats API: totals since start plus the rates of the last report period
+  getStats() {
+    return {
+      streamId: this.streamId,
+      lastSeq: this.nextSeq - 1,
+      uptimeSeconds: Math.round((Date.now() - this.startedAt) / 1000),
+      activeClients: this.clients.size,
+      totalConnections: this.stats.totalClientConnections,
+      totalDisconnections: this.stats.totalClientDisconnections,
+      clients: [...this.clients.values()].map(client => ({
+        id: client.id,
+        transport: client.clientInfo.transport || 'websocket',
+        user: client.clientInfo.user || null,
+        ...this.getClientLag(client)
+      })),
+      skippedLines: this.totals.linesSkipped,
+      slowClientDisconnects: this.totals.slowDisconnects,
+      storedLogsCount: this.storedLogs.length,
+      oldestStoredSeq: this.storedLogs.length > 0 ? this.storedLogs[0].seq : null,
+      tailProcessActive: this.isStarted,
+      trackedFiles: this.getTrackedFileCount(),
+      sources: this.getSourceStatuses(),
+      rates: this.lastRates,
+      redactions: this.redactor.getCounts(),
+      store: this.store && {
+        segments: this.store.segments.length,
+        totalBytes: this.store.totalBytes,
+        firstSeq: this.store.firstSeq,
+        lastSeq: this.store.lastSeq
+      }
+    };
+  }
+
+  getHealth() {
+    const sources = this.getSourceStatuses().map(status => ({ name: status.name, state: status.state, reason: status.reason }));
+    const live = this.isStarted && (sources.length === 0 || sources.some(source => source.state !== 'down'));
+    const ready = live && sources.every(source => source.state === 'running' || source.state === 'stalled');
+    return { live, ready, sources };
+  }
+
+  // Cumulative counters and current gauges, for /metrics
+  getMetrics() {
+    const statuses = this.getSourceStatuses();
+    const clients = [...this.clients.values()];
+    const perSource = (values) => this.sources.map(source => ({ labels: { source: source.name }, value: values.get(source.name) || 0 }));
+    
+    const families = [
+      { name: 'logstream_uptime_seconds', type: 'gauge', help: 'Seconds since the server started',
+        samples: [{ value: Math.round((Date.now() - this.startedAt) / 1000) }] },
+      { name: 'logstream_lines_ingested_total', type: 'counter', help: 'Log lines read per source',
+        samples: perSource(this.totals.linesIngested) },
+      { name: 'logstream_bytes_read_total', type: 'counter', help: 'Bytes read from log files per source',
+        samples: perSource(this.totals.bytesRead) },
+      { name: 'logstream_lines_sent_total', type: 'counter', help: 'Log lines sent to clients',
+        samples: [{ value: this.totals.linesSent }] },
+      { name: 'logstream_bytes_sent_total', type: 'counter', help: 'Bytes of log messages sent to clients',
+        samples: [{ value: this.totals.bytesSent }] },
+      { name: 'logstream_client_connections_total', type: 'counter', help: 'Client connections accepted',
+        samples: [{ value: this.stats.totalClientConnections }] },
+      { name: 'logstream_clients', type: 'gauge', help: 'Connected clients per transport',
+        samples: ['websocket', 'sse'].map(transport => ({
+          labels: { transport },
+          value: clients.filter(client => (client.clientInfo.transport || 'websocket') === transport).length
+        })) },
+      { name: 'logstream_client_send_queue_bytes', type: 'gauge', help: 'Bytes queued for a client but not yet written to its socket',
+        samples: clients.map(client => ({
+          labels: { client: client.id, transport: client.clientInfo.transport || 'websocket', user: client.clientInfo.user || '' },
+          value: client.ws.bufferedAmount || 0
+        })) },
+      { name: 'logstream_client_pending_lines', type: 'gauge', help: 'Live lines waiting on the server for a slow client',
+        samples: clients.map(client => ({ labels: { client: client.id }, value: client.lag.pending.length })) },
+      { name: 'logstream_client_lag_seconds', type: 'gauge', help: 'How long a client has been behind the live stream',
+        samples: clients.map(client => ({ labels: { client: client.id }, value: this.getClientLag(client).lagMs / 1000 })) },
+      { name: 'logstream_lines_skipped_total', type: 'counter', help: 'Live lines dropped for slow clients',
+        samples: [{ value: this.totals.linesSkipped }] },
+      { name: 'logstream_slow_client_disconnects_total', type: 'counter', help: 'Clients disconnected for staying behind',
+        samples: [{ value: this.totals.slowDisconnects }] },
+      { name: 'logstream_redactions_total', type: 'counter', help: 'Matches replaced per redaction rule',
+        samples: Object.entries(this.redactor.getCounts()).map(([rule, count]) => ({ labels: { rule }, value: count })) },
+      { name: 'logstream_source_restarts_total', type: 'counter', help: 'Times the reader of a source was restarted',
+        samples: statuses.map(status => ({ labels: { source: status.name }, value: status.restarts })) },
+      { name: 'logstream_source_state', type: 'gauge', help: 'Current state of each source reader, 1 for the active state',
+        samples: statuses.flatMap(status => ['starting', 'running', 'stalled', 'down', 'stopped'].map(state => ({
+          labels: { source: status.name, state },
+          value: status.state === state ? 1 : 0
+        }))) },
+      { name: 'logstream_tracked_files', type: 'gauge', help: 'Files followed per source',
+        samples: statuses.map(status => ({ labels: { source: status.name }, value: status.trackedFiles })) },
+      { name: 'logstream_alerts_fired_total', type: 'counter', help: 'Alerts fired per rule',
+        samples: this.alerts.rules.map(rule => ({ labels: { rule: rule.name }, value: this.alerts.firedCounts.get(rule.name) || 0 })) },
+      { name: 'logstream_alerts_firing', type: 'gauge', help: 'Alerts currently firing per rule',
+        samples: [...this.alerts.getFiringCounts()].map(([rule, count]) => ({ labels: { rule }, value: count })) },
+      { name: 'logstream_history_buffer_entries', type: 'gauge', help: 'Entries held in the in-memory history buffer',
+        samples: [{ value: this.storedLogs.length }] },
+      { name: 'logstream_history_buffer_capacity', type: 'gauge', help: 'Maximum entries of the in-memory history buffer',
+        samples: [{ value: this.MAX_STORED_LOGS }] },
+      { name: 'logstream_last_seq', type: 'gauge', help: 'Sequence id of the newest entry',
+        samples: [{ value: this.nextSeq - 1 }] },
+      { name: 'logstream_archive_scans_running', type: 'gauge', help: 'Archive searches currently reading',
+        samples: [{ value: this.archiveScans.running }] },
+      { name: 'logstream_archive_scans_queued', type: 'gauge', help: 'Archive searches waiting for a free slot',
+        samples: [{ value: this.archiveScans.queued }] }
+    ];
+    
+    if (this.store) {
+      families.push(
+        { name: 'logstream_store_bytes', type: 'gauge', help: 'Size of the on-disk history store',
+          samples: [{ value: this.store.totalBytes }] },
+        { name: 'logstream_store_segments', type: 'gauge', help: 'Segment files in the on-disk history store',
+          samples: [{ value: this.store.segments.length }] }
+      );
+    }
+    return families;
+  }
+
+  // Configured sources with the files currently followed for the enabled ones, limited
+  // to what the access rule allows
+  getSourceSummaries(allSources, access = null) {
+    const visibleSources = access ? allSources.filter(source => access.allowsSource(source.name)) : allSources;
+    return visibleSources.map((source) => {
+      const supervisor = this.supervisors.find(candidate => candidate.source === source);
+      const tailer = supervisor && supervisor.tailer;
+      return {
+        name: source.name,
+        enabled: source.enabled,
+        state: supervisor ? supervisor.state : 'stopped',
+        kind: source.kind,
+        paths: source.paths,
+        exclude: source.exclude,
+        historyLines: source.historyLines,
+        files: tailer ? [...tailer.files.values()].filter(file => !access || access.allows({ source: file.meta })).map(file => ({
+          file: file.meta.file,
+          vhost: file.meta.vhost,
+          kind: file.meta.kind,
+          offset: file.offset
+        })) : []
+      };
+    });
+  }
+
   stopStatsReporting() {
     if (this.statsInterval) {
       clearInterval(this.statsInterval);
@@ -438,10 +5219,27 @@ class LogBroadcaster {
 }
 
 // Create global broadcaster instance
-const logBroadcaster = new LogBroadcaster();
+const logBroadcaster = new LogBroadcaster(config, alertManager);
 
 const wss = new WebSocket.Server({ 
   server,
+  // Clients asking for the typed protocol get it, everyone else falls back to plain text
+  handleProtocols: (protocols) => protocols.has(PROTOCOL_NAME) ? PROTOCOL_NAME : false,
+  // Upgrades authenticate like any other request; the identity rides along on the request
+  verifyClient: (info, done) => {
+    authenticator.authenticate(info.req).then((identity) => {
+      info.req.identity = identity;
+      if (identity) {
+        done(true);
+      } else {
+        Logger.warn('Rejected unauthenticated WebSocket upgrade', { remoteAddress: info.req.socket.remoteAddress });
+        done(false, 401, 'Authentication required');
+      }
+    }).catch((error) => {
+      Logger.error('Failed to authenticate WebSocket upgrade', { error: error.message, remoteAddress: info.req.socket.remoteAddress });
+      done(false, 500, 'Internal server error');
+    });
+  },
   perMessageDeflate: {
     // Enable compression to reduce bandwidth
     deflate: true,
@@ -454,28 +5252,35 @@ wss.on('connection', function connection(ws, req) {
   const clientInfo = {
     remoteAddress: req.connection.remoteAddress,
     userAgent: req.headers['user-agent'],
-    connectionTime: new Date().toISOString()
+    connectionTime: new Date().toISOString(),
+    transport: 'websocket',
+    user: req.identity.user,
+    access: req.identity.access
   };
 
   // Add client to the global broadcaster
-  logBroadcaster.addClient(ws, clientInfo);
+  const isProtocolClient = ws.protocol === PROTOCOL_NAME;
+  const wantsResume = new URL(req.url, 'http://localhost').searchParams.has('resume');
+  logBroadcaster.addClient(ws, clientInfo, isProtocolClient ? PROTOCOL_VERSION : null, isProtocolClient && wantsResume);
 
-  // Handle messages from client (text search updates only)
+  // Handle messages from client
   ws.on('message', (message) => {
+    let data;
     try {
-      const data = JSON.parse(message);
-      
-      if (data.type === 'setTextSearch') {
-        // Handle text search message
-        const textSearchValue = typeof data.value === 'string' ? data.value.trim() : '';
-        logBroadcaster.updateClientTextSearch(ws, textSearchValue);
-      }
+      data = JSON.parse(message);
     } catch (error) {
       Logger.error('Invalid message from client', {
         error: error.message,
         clientAddress: clientInfo.remoteAddress
       });
+      const client = logBroadcaster.clients.get(ws);
+      if (client) {
+        logBroadcaster.sendError(client, 'bad-request', 'Messages must be JSON objects');
+      }
+      return;
     }
+    
+    logBroadcaster.handleClientMessage(ws, data || {});
   });
 
   ws.on('close', (code, reason) => {
@@ -501,7 +5306,7 @@ const PORT = 9123;
 process.on('SIGTERM', () => {
   Logger.info('Received SIGTERM, shutting down gracefully');
   
-  // Stop the global tail process
+  // Stop the shared log tailers
   logBroadcaster.stopTailProcess();
   
   server.close(() => {
@@ -513,7 +5318,7 @@ process.on('SIGTERM', () => {
 process.on('SIGINT', () => {
   Logger.info('Received SIGINT, shutting down gracefully');
   
-  // Stop the global tail process
+  // Stop the shared log tailers
   logBroadcaster.stopTailProcess();
   
   server.close(() => {
@@ -529,13 +5334,16 @@ server.listen(PORT, () => {
     platform: process.platform,
     pid: process.pid,
     url: `http://localhost:${PORT}`,
-    maxClients: 'unlimited (shared tail process)',
+    maxClients: 'unlimited (shared log tailers)',
     maxStoredLogs: logBroadcaster.MAX_STORED_LOGS,
     clientHistoryLimit: logBroadcaster.CLIENT_HISTORY_LIMIT,
-    features: ['IP obfuscation', 'Log broadcasting', 'Server-side log storage', 'Server-side filtering', 'Instant history delivery', 'Compression', 'Graceful shutdown']
+    configPath: config.path,
+    authEnabled: authenticator.enabled,
+    sources: logBroadcaster.sources.map(source => source.name),
+    features: ['IP obfuscation', 'Redaction rules', 'Log broadcasting', 'Server-side log storage', 'Server-side filtering', 'Source attribution', 'Structured log parsing', 'Query language', 'Regex search', 'Typed WebSocket protocol', 'Gap-free resume', 'Persistent history', 'Time-range queries', 'REST API', 'Prometheus metrics', 'Alert rules', 'Rate charts', 'Server-Sent Events fallback', 'Authentication', 'Per-user access control', 'Instant history delivery', 'Compression', 'Graceful shutdown']
   });
   
-  // Start the tail process immediately when server starts
+  // Start tailing immediately when server starts
   logBroadcaster.startTailProcess();
 });
 
@@ -559,10 +5367,16 @@ setInterval(() => {
       activeClients: activeAfter,
       cleanedConnections: cleaned,
       tailProcessActive: logBroadcaster.isStarted,
-      tailPid: logBroadcaster.tail ? logBroadcaster.tail.pid : null
+      trackedFiles: logBroadcaster.getTrackedFileCount()
     });
   }
   
-  // Keep tail process running even with no clients for immediate response
+  // Sources the supervisors are still trying to bring back
+  const degradedSources = logBroadcaster.getSourceStatuses().filter(status => status.state === 'down' || status.state === 'stalled');
+  if (degradedSources.length > 0) {
+    Logger.warn('Health check - degraded log sources', { sources: degradedSources });
+  }
+  
+  // Keep tailers running even with no clients for immediate response
   // when new clients connect
 }, 30000); // Every 30 seconds